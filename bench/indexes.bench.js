@@ -0,0 +1,74 @@
+// bench/indexes.bench.js
+//
+// Compares Worker.get() lookups on a large bucket with and without secondary
+// indexes, after checking that both return the same records. Run from the
+// repo root (ES modules; Node 20.19+ / 22+):
+//
+//   node bench/indexes.bench.js [records=100000] [lookups=200]
+
+import Worker from "../src/Worker.js";
+
+const N       = Number(process.argv[2]) || 100_000;
+const LOOKUPS = Number(process.argv[3]) || 200;
+const TRACES  = 1_000;
+
+function fill(worker) {
+    for (let i = 0; i < N; i++) {
+        worker.log({ i, user: { id: i % 97 }, tags: [`t${i % 5}`, `t${i % 7}`] }, {
+            event: `evt.${i % 50}`,
+            trace: `trace-${i % TRACES}`,
+        });
+    }
+}
+
+function time(label, fn) {
+    const t0 = performance.now();
+    let found = 0;
+    for (let i = 0; i < LOOKUPS; i++) found += fn(i).length;
+    const ms = performance.now() - t0;
+    console.log(`${label.padEnd(28)} ${(ms / LOOKUPS).toFixed(3).padStart(9)} ms/lookup  (${found} hits)`);
+    return ms;
+}
+
+const plain   = new Worker({ name: "plain",   max: N });
+const indexed = new Worker({ name: "indexed", max: N, indexes: ["trace", "event", "body.tags"] });
+
+let t0 = performance.now();
+fill(plain);
+console.log(`fill ${N} (no index)          ${(performance.now() - t0).toFixed(1)} ms`);
+
+t0 = performance.now();
+fill(indexed);
+console.log(`fill ${N} (trace+event+tags)  ${(performance.now() - t0).toFixed(1)} ms`);
+
+// indexed reads must match a scan exactly (same records, same order)
+const checks = [
+    { trace: "trace-7" },
+    { event: { $eq: "evt.3" } },
+    { event: { $in: ["evt.1", "evt.2", "nope"] } },
+    { "body.tags": { $in: ["t1"] } },
+    { "body.tags": { $in: ["t2", "t3"] }, limit: 50, order: "desc" },
+    { "body.tags": "t1" },
+    { "body.tags": { $in: ["t4"] }, trace: "trace-4" }
+];
+for (const f of checks) {
+    const seqs = (w) => w.get(f).map((r) => r.header.seq).join(",");
+    const want = seqs(plain);
+    if (seqs(indexed) !== want || plain.count(f) !== indexed.count(f)) {
+        throw new Error(`index/scan mismatch for ${JSON.stringify(f)}`);
+    }
+}
+console.log(`index/scan consistency: ${checks.length} filters ok`);
+
+console.log("");
+
+const byTrace = (w) => (i) => w.get({ trace: `trace-${(i * 7) % TRACES}` });
+const byEvent = (w) => (i) => w.get({ event: { $in: [`evt.${i % 50}`, `evt.${(i + 1) % 50}`] }, limit: 20 });
+
+const a = time("trace lookup (scan)", byTrace(plain));
+const b = time("trace lookup (index)", byTrace(indexed));
+const c = time("event $in + limit (scan)", byEvent(plain));
+const d = time("event $in + limit (index)", byEvent(indexed));
+
+console.log("");
+console.log(`speedup: trace x${(a / b).toFixed(1)}, event $in x${(c / d).toFixed(1)}`);
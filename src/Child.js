@@ -0,0 +1,182 @@
+/**
+ * log/Child.js
+ * ------------
+ * Lightweight logging handle with bound context.
+ *
+ * Created via `worker.child(context)` or `manager.child(bucket, context)`.
+ * A child owns no storage: every call is forwarded to the parent Worker (or to
+ * the Manager facade for its bucket), so records land in the same rings and
+ * go through the same sampling, redaction, hooks and listeners.
+ *
+ * Bound context:
+ * - `trace`  : default `header.trace` (a per-call `opts.trace` wins)
+ * - `event`  : event prefix; joined to a per-call `opts.event` with "."
+ *              (`"http"` + `"request"` => `"http.request"`), used alone otherwise
+ * - `fields` : default body fields, shallow-merged under the payload
+ *
+ * Children nest: `child.child(ctx)` inherits the trace, extends the event
+ * prefix and layers its fields over the parent's.
+ */
+
+const EVENT_SEPARATOR = ".";
+
+/**
+ * Plain object check for payloads that can take merged fields.
+ * @private
+ */
+function isPlainObject(v) {
+    if (!v || typeof v !== "object" || Array.isArray(v)) return false;
+    const proto = Object.getPrototypeOf(v);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Layer a raw child context over an already normalized one.
+ *
+ * @private
+ * @param {Object|null} base Normalized parent context.
+ * @param {Object} context Raw `{ trace, event, fields }`.
+ * @returns {{ trace: any, event: string|null, fields: Object|null }}
+ * @throws {Error} On non-object contexts or fields.
+ */
+function mergeContext(base, context) {
+    if (context != null && (typeof context !== "object" || Array.isArray(context))) {
+        throw new Error(`[log] invalid child context: ${context}`);
+    }
+    const c = context || {};
+    const b = base || { trace: undefined, event: null, fields: null };
+
+    if (c.fields != null && !isPlainObject(c.fields)) {
+        throw new Error(`[log] invalid child fields: ${c.fields}`);
+    }
+
+    let event = b.event;
+    if (c.event != null && c.event !== "") {
+        event = (event != null) ? `${event}${EVENT_SEPARATOR}${c.event}` : String(c.event);
+    }
+
+    const fields = (b.fields || c.fields)
+        ? Object.freeze(Object.assign({}, b.fields, c.fields))
+        : null;
+
+    return Object.freeze({
+        trace: ("trace" in c) ? c.trace : b.trace,
+        event,
+        fields
+    });
+}
+
+export default class Child {
+    /**
+     * @param {import('./Worker.js').default|import('./Manager.js').default} target
+     *        Worker to emit into, or Manager when `bucket` is given.
+     * @param {Object} [context]
+     * @param {any} [context.trace] Default `header.trace`.
+     * @param {string} [context.event] Event prefix.
+     * @param {Object} [context.fields] Default body fields.
+     * @param {string|null} [bucket=null] Bucket name for Manager targets.
+     * @param {Object|null} [parent=null] Normalized context to extend (nesting).
+     * @throws {Error} On invalid context / fields.
+     */
+    constructor(target, context = {}, bucket = null, parent = null) {
+        this.target  = target;
+        this.bucket  = bucket;
+        this.context = mergeContext(parent, context);
+    }
+
+    /**
+     * Create a nested child sharing this child's target.
+     *
+     * @param {Object} [context] Same shape as the constructor context.
+     * @returns {Child}
+     */
+    child(context = {}) {
+        return new Child(this.target, context, this.bucket, this.context);
+    }
+
+    /**
+     * Convenience: level='log'
+     *
+     * @param {any} data
+     * @param {Object} [opts] Same as `Worker.emit()` opts (level is overridden)
+     * @returns {Object|null}
+     */
+    log(data, opts = {}) {
+        return this._forward("log", data, opts);
+    }
+
+    /**
+     * Convenience: level='info'
+     *
+     * @param {any} data
+     * @param {Object} [opts]
+     * @returns {Object|null}
+     */
+    info(data, opts = {}) {
+        return this._forward("info", data, opts);
+    }
+
+    /**
+     * Convenience: level='warn'
+     *
+     * @param {any} data
+     * @param {Object} [opts]
+     * @returns {Object|null}
+     */
+    warn(data, opts = {}) {
+        return this._forward("warn", data, opts);
+    }
+
+    /**
+     * Convenience: level='error'
+     *
+     * Manager-backed children keep the Manager's `throwOnError` behavior.
+     *
+     * @param {any} data
+     * @param {Object} [opts]
+     * @returns {Object|null}
+     */
+    error(data, opts = {}) {
+        return this._forward("error", data, opts);
+    }
+
+    /**
+     * Apply the bound context and hand off to the target.
+     *
+     * Payload merge:
+     * - plain object => `{ ...fields, ...data }` (call data wins)
+     * - undefined    => `{ ...fields }`
+     * - anything else (primitives, arrays, Errors, instances) => `{ ...fields, value: data }`
+     *
+     * An Error payload therefore lands under `body.value` (normalized there by the
+     * Worker's `errors` policy), not as the body itself as with `worker.error(err)`.
+     *
+     * @private
+     * @param {string} level
+     * @param {any} data
+     * @param {Object} opts
+     * @returns {Object|null}
+     */
+    _forward(level, data, opts) {
+        const c = this.context;
+        const o = Object.assign({}, (opts && typeof opts === "object") ? opts : {});
+
+        if (o.trace === undefined && c.trace !== undefined) o.trace = c.trace;
+        if (c.event != null) {
+            o.event = (o.event != null && o.event !== "")
+                ? `${c.event}${EVENT_SEPARATOR}${o.event}`
+                : c.event;
+        }
+
+        let body = data;
+        if (c.fields) {
+            if (isPlainObject(data)) body = Object.assign({}, c.fields, data);
+            else if (data === undefined) body = Object.assign({}, c.fields);
+            else body = Object.assign({}, c.fields, { value: data });
+        }
+
+        return (this.bucket != null)
+            ? this.target[level](this.bucket, body, o)
+            : this.target[level](body, o);
+    }
+}
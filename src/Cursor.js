@@ -0,0 +1,77 @@
+/**
+ * log/Cursor.js
+ * -------------
+ * Incremental reader over a single Worker, keyed on `header.seq`.
+ *
+ * Created via `worker.cursor()`. Each `read()` returns only records stored
+ * since the previous read, plus a `missed` count of records that were stored
+ * in that window but evicted (overwritten, truncated, expired, cleared)
+ * before this cursor could see them.
+ */
+
+import { PAGE_KEYS } from './query.js';
+
+export default class Cursor {
+    /**
+     * @param {import('./Worker.js').default} worker
+     * @param {number} [afterSeq=0] Last sequence number considered seen.
+     */
+    constructor(worker, afterSeq = 0) {
+        this.worker = worker;
+        this.seq = afterSeq;
+        this.missed = 0; // running total across reads
+    }
+
+    /**
+     * Read unseen records and advance the cursor.
+     *
+     * Notes:
+     * - `filter` uses `Worker.get()` semantics; `afterSeq` is managed by the cursor
+     *   and paging options (`limit`, `order`, `offset`, `pageToken`) are ignored
+     *   (every unseen record is returned once, oldest first).
+     * - Records that do not match `filter` are still marked as seen.
+     * - `missed` counts unseen records lost to eviction, regardless of `filter`.
+     *
+     * @param {Object} [filter] Optional `Worker.get()` filter.
+     * @returns {{ records: Object[], missed: number, seq: number }}
+     *          `seq` is the new cursor position.
+     */
+    read(filter = {}) {
+        const w = this.worker;
+        const f = (filter && typeof filter === "object") ? filter : {};
+
+        const q = Object.assign({}, f, { afterSeq: this.seq });
+        for (const k of PAGE_KEYS) delete q[k];
+        const records = w.get(q);
+
+        // stored since last read, minus what is still retained => evicted unseen
+        const stored = w._seq - this.seq;
+        const missed = Math.max(0, stored - w._countAfterSeq(this.seq));
+
+        this.seq = w._seq;
+        this.missed += missed;
+
+        return { records, missed, seq: this.seq };
+    }
+
+    /**
+     * Number of unseen records currently retained (does not advance).
+     *
+     * @returns {number}
+     */
+    pending() {
+        this.worker._expire();
+        return this.worker._countAfterSeq(this.seq);
+    }
+
+    /**
+     * Move the cursor.
+     *
+     * @param {number} [afterSeq=0] New position (0 = everything retained is unseen).
+     * @returns {void}
+     */
+    reset(afterSeq = 0) {
+        this.seq = Number.isFinite(afterSeq) ? afterSeq : 0;
+        this.missed = 0;
+    }
+}
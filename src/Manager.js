@@ -16,9 +16,85 @@
 // - per-bucket hooks
 
 import Worker            from "./Worker.js";
+import Child             from './Child.js';
 //leave in the event I need it later. 
 //import { CONSOLE_LEVEL } from './constants.js';
 import utils             from './utils.js';
+import { compileFilter, PAGE_KEYS } from './query.js';
+import { createAggregator } from './aggregate.js';
+import { normalizeRedact, mergeRedact } from './redact.js';
+import { SNAPSHOT_VERSION, migrateSnapshot } from './snapshot.js';
+
+// Worker options holding functions (recorded by reference name in snapshots)
+const FUNCTION_KEYS = Object.freeze(["onEvent", "onEvict", "onPrint", "clock", "sizeOf"]);
+
+/**
+ * Order records by `header.at`, then `header.seq` (stable within a bucket).
+ * @private
+ */
+function compareAt(a, b) {
+    const d = (a?.header?.at ?? 0) - (b?.header?.at ?? 0);
+    return d !== 0 ? d : (a?.header?.seq ?? 0) - (b?.header?.seq ?? 0);
+}
+
+/**
+ * Build a `(fn, label, defaultFn?) => name|null` namer for `snapshot()`.
+ *
+ * Names come from `functions` (`{ name: fn }`), then the reference the function
+ * was resolved from (`utils._functionRef`), then `fn.name`. Library defaults
+ * (`defaultFn`) and unset hooks record as null.
+ *
+ * @private
+ */
+function functionNamer(functions) {
+    const names = new Map();
+    if (functions && typeof functions === "object") {
+        for (const [name, fn] of Object.entries(functions)) {
+            if (typeof fn === "function") names.set(fn, name);
+        }
+    }
+
+    return (fn, label, defaultFn = null) => {
+        if (typeof fn !== "function" || fn === defaultFn) return null;
+        const name = names.get(fn) || utils._functionRef(fn) || fn.name;
+        if (!name) {
+            throw new Error(`[log] snapshot: cannot name anonymous ${label} function (pass it in opts.functions)`);
+        }
+        return name;
+    };
+}
+
+/**
+ * Rebind function reference names in a snapshot config (see `restore()`).
+ *
+ * Names resolve through `functions` first, then `utils._getFunction()`
+ * (`lib.func.get`); null keeps the library default.
+ *
+ * @private
+ * @throws {Error} When a name cannot be resolved.
+ */
+function bindFunctions(cfg, functions) {
+    const fns = (functions && typeof functions === "object") ? functions : {};
+
+    const bind = (name, label) => {
+        if (name == null || typeof name === "function") return name ?? null;
+        try {
+            const fn = Object.prototype.hasOwnProperty.call(fns, name) ? fns[name] : name;
+            return utils._getFunction(fn, label);
+        } catch {
+            throw new Error(`[log] restore: unresolved ${label} reference "${name}" (pass it in opts.functions)`);
+        }
+    };
+
+    const out = Object.assign({}, cfg);
+    for (const k of FUNCTION_KEYS) {
+        if (k in out) out[k] = bind(out[k], k);
+    }
+    if (out.dedupe && typeof out.dedupe === "object") {
+        out.dedupe = Object.assign({}, out.dedupe, { key: bind(out.dedupe.key, "dedupe.key") });
+    }
+    return out;
+}
 
 export default class Manager {
     /**
@@ -62,6 +138,12 @@ export default class Manager {
 	// Manager policy (not a worker default)
 	this.throwOnError = opts.throwOnError === true;
 
+	// manager-wide sequence stamped as `header.mseq` on forwarded records
+	this._seq = 0;
+
+	// cross-bucket listeners registered via subscribe(): Set<{ fn, buckets, test }>
+	this._listeners = new Set();
+
 	// Worker environment defaults (unrelated to Manager.enabled)
 	this._workerConfig = null;
 	this.setWorkerConfig(opts.worker);
@@ -139,7 +221,7 @@ export default class Manager {
      * Notes:
      * - `workspace` is passed through as-is; Workers are responsible for
      *   sanitizing workspace values.
-     * - Function references (`onEvent`, `onPrint`) are resolved best-effort
+     * - Function references (`onEvent`, `onEvict`, `onPrint`) are resolved best-effort
      *   at configuration time.
      *
      * @param {Object} [cfg]
@@ -148,10 +230,32 @@ export default class Manager {
      *        Default enabled state for newly created Workers.
      * @param {number|string} [cfg.max=0]
      *        Default storage limit for Workers.
+     * @param {number|string} [cfg.maxBytes=0]
+     *        Default byte budget for Workers (0 = no budget).
+     * @param {Function|string|any} [cfg.sizeOf]
+     *        Default size estimator used with `maxBytes`.
+     * @param {number|string} [cfg.maxAge=0]
+     *        Default retention window in milliseconds (0 = no time limit).
+     * @param {string[]} [cfg.indexes]
+     *        Default secondary index keys for Workers.
+     * @param {Object|null} [cfg.sampling]
+     *        Default capture-time sampling policy (each Worker keeps its own sampler state).
+     * @param {boolean|Object} [cfg.dedupe]
+     *        Default duplicate collapsing for Workers.
+     * @param {Object|null} [cfg.reduce]
+     *        Default payload shape reduction for Workers (see `Worker.setReduce`).
+     * @param {boolean|Object|null} [cfg.errors]
+     *        Default Error normalization for Workers (see `Worker.setErrors`).
+     * @param {boolean|Object|null} [cfg.redact]
+     *        Default redaction policy. A bucket's own `redact` (in `createBucket()`)
+     *        is layered on top of it (see `redact.mergeRedact`); `redact: false`
+     *        turns it off for that bucket.
      * @param {number|string|boolean} [cfg.console]
      *        Default console emission policy for Workers.
      * @param {Function|string|any} [cfg.onEvent]
      *        Default per-record hook for Workers.
+     * @param {Function|string|any} [cfg.onEvict]
+     *        Default eviction hook for Workers.
      * @param {Function|string|any} [cfg.clock]
      *        Default clock function for Workers.
      * @param {any} [cfg.workspace]
@@ -174,7 +278,9 @@ export default class Manager {
 
 	const rawConsole = ("console" in w) ? w.console : prev.console;
 	const rawOnEvent = ("onEvent" in w) ? w.onEvent : prev.onEvent;
+	const rawOnEvict = ("onEvict" in w) ? w.onEvict : prev.onEvict;
 	const rawClock   = ("clock"   in w) ? w.clock   : prev.clock;
+	const rawSizeOf  = ("sizeOf"  in w) ? w.sizeOf  : prev.sizeOf;
 
 	const workspace  = ("workspace" in w) ? w.workspace : prev.workspace;
 
@@ -184,10 +290,20 @@ export default class Manager {
 
             // optional storage default
             max: ("max" in w) ? w.max : (prev.max ?? 0),
+            maxBytes: ("maxBytes" in w) ? w.maxBytes : (prev.maxBytes ?? 0),
+            sizeOf: utils._getFunction(rawSizeOf, "sizeOf"),
+            maxAge: ("maxAge" in w) ? w.maxAge : (prev.maxAge ?? 0),
+            indexes: ("indexes" in w) ? w.indexes : (prev.indexes ?? null),
+            sampling: ("sampling" in w) ? w.sampling : (prev.sampling ?? null),
+            dedupe: ("dedupe" in w) ? w.dedupe : (prev.dedupe ?? false),
+            reduce: ("reduce" in w) ? utils._normalizeReduce(w.reduce) : (prev.reduce ?? null),
+            errors: ("errors" in w) ? utils._normalizeErrors(w.errors) : utils._normalizeErrors(prev.errors),
+            redact: ("redact" in w) ? normalizeRedact(w.redact) : (prev.redact ?? null),
 
             // normalized/resolved (worker-only, but defaults from prior worker config)
             console: utils._normalizeConsoleLevel(rawConsole),
             onEvent: utils._getFunction(rawOnEvent, "onEvent"),
+            onEvict: utils._getFunction(rawOnEvict, "onEvict"),
             clock: utils._getClock(rawClock),
 
             // opaque user workspace (Worker may sanitize if desired)
@@ -229,6 +345,7 @@ export default class Manager {
      * Replacement behavior:
      * - If a bucket with the same name already exists, it is replaced in the
      *   internal registry via Map overwrite (no teardown is performed).
+     *   Manager-level subscriptions follow the registered Worker only.
      *
      * Bucket name rules:
      * - Valid names are non-empty strings.
@@ -260,11 +377,18 @@ export default class Manager {
 	// If per-bucket overrides provided raw values, normalize again safely
 	merged.console = utils._normalizeConsoleLevel(merged.console);
 	merged.onEvent = utils._getFunction(merged.onEvent, "onEvent");
+	merged.onEvict = utils._getFunction(merged.onEvict, "onEvict");
 	merged.onPrint = utils._getFunction(merged.onPrint, "onPrint");
 	merged.clock   = utils._getClock(merged.clock);
+	merged.sizeOf  = utils._getFunction(merged.sizeOf, "sizeOf");
+	merged.redact  = ("redact" in o) ? mergeRedact(env.redact, o.redact) : env.redact;
 
 	const worker = new Worker(merged);
 	this.workers.set(worker.name, worker);
+
+	// relay stored records to Manager-level subscribers
+	worker.subscribe((record, w) => this._relay(record, w));
+
 	return worker;
     }
     /**
@@ -363,12 +487,19 @@ export default class Manager {
 
 	const w = this.ensureBucket(key, createOpts);
 
+	// bucket redaction layers on the Manager default, as in createBucket()
+	let p = patch;
+	if (isObj && Object.prototype.hasOwnProperty.call(patch, "redact")) {
+            const env = this._workerConfig || this.setWorkerConfig(this.opts.worker);
+            p = Object.assign({}, patch, { redact: mergeRedact(env.redact, patch.redact) });
+	}
+
 	// Apply runtime patch keys (exclude creation-only `clone`)
 	if (isObj && hasClone) {
-            const { clone, ...rest } = patch;
+            const { clone, ...rest } = p;
             w.configure(rest);
 	} else {
-            w.configure(patch);
+            w.configure(p);
 	}
 
 	return w;
@@ -397,6 +528,24 @@ export default class Manager {
 	return this.bucket(bucketName);
     }
 
+    /**
+     * Create a child logger bound to a bucket.
+     *
+     * Calls go through this Manager (`log/info/warn/error(bucketName, ...)`), so
+     * `enabled`, `throwOnError` and manager sequencing apply as usual; records
+     * are stored in the bucket's Worker. The bucket is resolved per call, so a
+     * child may be created before its bucket exists (calls return null until then).
+     *
+     * @param {string|number} bucketName Bucket name.
+     * @param {Object} [context] `{ trace, event, fields }`; see `Worker.child()`.
+     * @returns {Child}
+     * @throws {Error} On an invalid bucket name or context.
+     */
+    child(bucketName, context = {}) {
+	const name = utils.validateBucketName(bucketName);
+	return new Child(this, context, name);
+    }
+
     /**
      * Forward a `log` record to a bucket (soft runtime operation).
      *
@@ -404,6 +553,7 @@ export default class Manager {
      * - If Manager is disabled => returns null
      * - If bucket name is invalid or bucket does not exist => returns null
      * - Otherwise forwards to `Worker.log(data, opts)` and returns the stored record
+     *   (stamped with a manager-wide `header.mseq`)
      *
      * Bucket name rules:
      * - Valid names are non-empty strings.
@@ -420,7 +570,7 @@ export default class Manager {
 	if (!this.enabled) return null;
 	const w = this.bucket(bucketName);
 	if (!w) return null;
-	return w.log(data, opts);
+	return w.log(data, this._stamp(opts));
     }
 
     /**
@@ -446,7 +596,7 @@ export default class Manager {
 	if (!this.enabled) return null;
 	const w = this.bucket(bucketName);
 	if (!w) return null;
-	return w.info(data, opts);
+	return w.info(data, this._stamp(opts));
     }
     /**
      * Forward a `warn` record to a bucket (soft runtime operation).
@@ -471,7 +621,7 @@ export default class Manager {
 	if (!this.enabled) return null;
 	const w = this.bucket(bucketName);
 	if (!w) return null;
-	return w.warn(data, opts);
+	return w.warn(data, this._stamp(opts));
     }
 
     /**
@@ -532,8 +682,8 @@ export default class Manager {
 	const rec = w.error(
             data,
             this.throwOnError
-		? Object.assign({}, opts, { print: false })
-		: opts
+		? Object.assign(this._stamp(opts), { print: false })
+		: this._stamp(opts)
 	);
 
 	if (!this.throwOnError) return rec;
@@ -547,6 +697,47 @@ export default class Manager {
 	err.record = rec;
 	throw err;
     }
+    /**
+     * Register a listener for records stored in this Manager's buckets.
+     *
+     * Listeners are called synchronously after a Worker stores a record, with
+     * the Worker listener signature: `(record, worker, workspace)`.
+     *
+     * - `opts.buckets`: bucket name, array of names, or `"*"` (default) for all
+     *   buckets, including buckets created after subscribing.
+     * - `opts.filter`: `Worker.get()`-style filter (paging options such as `limit` are ignored).
+     * - Each listener is isolated: a throwing listener never affects logging
+     *   or other listeners. Its error is counted on the delivering bucket as
+     *   `errors.listener` (see `Worker.stats()`), like a Worker listener's.
+     *
+     * Records are delivered regardless of how they were emitted (through the
+     * Manager or directly on the Worker).
+     *
+     * @param {Function} fn Listener `(record, worker, workspace) => void`.
+     * @param {Object} [opts]
+     * @param {string|number|Array<string|number>} [opts.buckets="*"]
+     * @param {Object} [opts.filter]
+     * @returns {Function} Unsubscribe handle (idempotent).
+     * @throws {Error} If `fn` is not a function or a bucket name is invalid.
+     */
+    subscribe(fn, opts = {}) {
+	if (typeof fn !== "function") {
+            throw new Error("[log] Manager.subscribe expects a function");
+	}
+
+	const o = (opts && typeof opts === "object") ? opts : {};
+	const entry = {
+            fn,
+            buckets: this._bucketSet(o.buckets),
+            test: (o.filter && typeof o.filter === "object") ? compileFilter(o.filter) : null
+	};
+	this._listeners.add(entry);
+
+	return () => {
+            this._listeners.delete(entry);
+	};
+    }
+
     // ---------------------------------------------------------------------------
     // Reading / clearing
     // ---------------------------------------------------------------------------
@@ -572,6 +763,112 @@ export default class Manager {
 	if (!w) return [];
 	return w.get(filter);
     }
+    /**
+     * Read matching records from several buckets as one time-ordered stream.
+     *
+     * Per-bucket matches are k-way merged by `header.at`; ties are broken by
+     * `header.mseq` (when both records carry one), then bucket registration
+     * order. Records of one bucket keep their `header.seq` order.
+     *
+     * `limit` applies to the merged result and follows `Worker.get()`:
+     * - without `order`: keeps the most recent `limit` (returned oldest → newest)
+     * - with `order`: counts from the start of that order
+     *
+     * @param {Object} [opts]
+     * @param {string|number|Array<string|number>} [opts.buckets="*"]
+     *        Bucket name, array of names, or `"*"` for all buckets. Missing buckets are skipped.
+     * @param {Object} [opts.filter] `Worker.get()`-style filter (its own paging options are ignored).
+     * @param {number} [opts.limit] Non-negative integer.
+     * @param {"asc"|"desc"} [opts.order]
+     * @returns {Array<{ bucket: string, record: Object }>}
+     * @throws {Error} If a bucket name, `limit` or `order` is invalid, or the filter is invalid.
+     */
+    query(opts = {}) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+	const names = this._bucketSet(o.buckets);
+
+	let limit = null;
+	if (o.limit != null) {
+            limit = Number(o.limit);
+            if (!Number.isInteger(limit) || limit < 0) {
+		throw new Error(`[log] invalid limit: ${o.limit}`);
+            }
+	}
+	if (o.order != null && o.order !== "asc" && o.order !== "desc") {
+            throw new Error(`[log] invalid order: ${o.order}`);
+	}
+	const desc = o.order === "desc";
+	const newest = desc || o.order == null; // which end `limit` keeps
+
+	const filter = Object.assign({}, (o.filter && typeof o.filter === "object") ? o.filter : {});
+	for (const k of PAGE_KEYS) delete filter[k];
+
+	// per-bucket runs, each sorted by time (stable: seq order within equal `at`)
+	const runs = [];
+	let rank = 0;
+	for (const w of this.workers.values()) {
+            const r = rank++;
+            if (names && !names.has(w.name)) continue;
+            const list = w.get(filter).sort(compareAt);
+            const cut = (limit != null && list.length > limit)
+		  ? (newest ? list.slice(list.length - limit) : list.slice(0, limit))
+		  : list;
+            if (cut.length) runs.push({ bucket: w.name, rank: r, list: cut, pos: desc ? cut.length - 1 : 0 });
+	}
+
+	const before = (a, b) => {
+            const d = compareAt(a.list[a.pos], b.list[b.pos]);
+            if (d !== 0) return d;
+            const ma = a.list[a.pos]?.header?.mseq;
+            const mb = b.list[b.pos]?.header?.mseq;
+            if (Number.isFinite(ma) && Number.isFinite(mb) && ma !== mb) return ma - mb;
+            return a.rank - b.rank;
+	};
+
+	// k-way merge (k = bucket count, small): pick the earliest (or latest) head each step
+	const out = [];
+	const stop = (limit != null && o.order != null) ? limit : Infinity;
+
+	while (out.length < stop) {
+            let best = null;
+            for (const run of runs) {
+		if (run.pos < 0 || run.pos >= run.list.length) continue;
+		const d = best ? before(run, best) : 0;
+		if (!best || (desc ? d > 0 : d < 0)) best = run;
+            }
+            if (!best) break;
+            out.push({ bucket: best.bucket, record: best.list[best.pos] });
+            best.pos += desc ? -1 : 1;
+	}
+
+	// default order: ascending output, newest `limit` kept
+	return (limit != null && out.length > limit) ? out.slice(out.length - limit) : out;
+    }
+    /**
+     * Summarize stored records across buckets (see `Worker.aggregate()`).
+     *
+     * Every selected bucket feeds the same aggregator, so groups span buckets;
+     * group by `"source"` (the bucket name) to split them back out. Buckets are
+     * read in place; nothing is copied out of storage.
+     *
+     * @param {Object} [spec] `Worker.aggregate()` spec, plus:
+     * @param {string|number|Array<string|number>} [spec.buckets="*"]
+     *        Bucket name, array of names, or `"*"` for all buckets. Missing buckets are skipped.
+     * @returns {Object} Same shape as `Worker.aggregate()`.
+     * @throws {Error} If a bucket name is invalid or the spec is invalid.
+     */
+    aggregate(spec = {}) {
+	const s = (spec && typeof spec === "object") ? spec : {};
+	const names = this._bucketSet(s.buckets);
+	const agg = createAggregator(s);
+
+	for (const w of this.workers.values()) {
+            if (names && !names.has(w.name)) continue;
+            w._scan(s.filter, agg.add);
+	}
+
+	return agg.result();
+    }
     /**
      * Clear records.
      *
@@ -602,19 +899,288 @@ export default class Manager {
     /**
      * List bucket stats for all registered Workers.
      *
-     * @returns {Array<Object>} Array of `Worker.stats()` snapshots.
+     * The returned array also has a `total` property summing the numeric counters
+     * across buckets (`size`, `count`, `emitted`, `stored`, `dropped`, `deduped`,
+     * `overwritten`, `evicted`, `levels`, `sampled`, `redacted`,
+     * `errors[kind].count`) plus the latest `lastAt`. `JSON.stringify` skips
+     * non-index array properties; use `stats()` for a serializable shape.
+     *
+     * @returns {Array<Object> & { total: Object }} Array of `Worker.stats()` snapshots (+ `total`).
      */
     list() {
 	const out = [];
 	for (const w of this.workers.values()) {
             out.push(w.stats());
 	}
+	out.total = this._totalStats(out);
 	return out;
     }
+
+    /**
+     * Bucket stats plus totals across buckets, as plain serializable data.
+     *
+     * @returns {{ buckets: Object[], total: Object }}
+     *          The `list()` array and its `total`.
+     */
+    stats() {
+	const buckets = this.list();
+	const total = buckets.total;
+	delete buckets.total;
+	return { buckets, total };
+    }
+
+    /**
+     * Reset lifetime stats counters (see `Worker.resetStats()`).
+     *
+     * - If `bucketName` is null/undefined => resets all buckets.
+     * - Otherwise resets only the named bucket (no-op if missing).
+     *
+     * Stored records are not touched; use `clear()` for that.
+     *
+     * @param {string|number|null|undefined} bucketName Bucket name, or null/undefined for all.
+     * @returns {void}
+     * @throws {Error} If `bucketName` is provided but invalid.
+     */
+    resetStats(bucketName) {
+	if (bucketName == null) {
+            for (const w of this.workers.values()) w.resetStats();
+            return;
+	}
+	const w = this._bucket(bucketName);
+	if (w) w.resetStats();
+    }
+
+    /**
+     * Capture this Manager's state as versioned, JSON-serializable data
+     * (`JSON.stringify` safe; see `snapshot.js` for the shape).
+     *
+     * Includes:
+     * - Manager settings (`name`, `enabled`, `throwOnError`) and its `mseq` counter
+     * - Worker defaults (`setWorkerConfig()`)
+     * - per bucket: effective config (`max`, `maxBytes`, `maxAge`, `console`, `clone`,
+     *   `enabled`, `indexes`, `sampling`, `redact`, `reduce`, `errors`, `dedupe`, workspace,
+     *   hooks), stored records oldest first, lifetime counters, `seq`, `count`, `lastAt`
+     *
+     * Records and configs are encoded with `utils.toJSONSafe()`. Functions are
+     * recorded by reference name (see `opts.functions`) and rebound by `restore()`;
+     * library defaults (`Date.now`, `utils.estimateSize`) are recorded as null.
+     * Listeners (`subscribe()`), sampler / dedupe run state and tails are not captured.
+     *
+     * @param {Object} [opts]
+     * @param {Object<string, Function>} [opts.functions]
+     *        Names for functions in use (`{ auditHook: fn }`). Otherwise the reference a
+     *        function was resolved from, or its `name`, is used.
+     * @param {number} [opts.maxDepth] Per-record `toJSONSafe()` limit.
+     * @param {number} [opts.maxNodes] Per-record `toJSONSafe()` limit.
+     * @param {number} [opts.maxString] Per-record `toJSONSafe()` limit.
+     * @returns {Object} Snapshot (`version: SNAPSHOT_VERSION`).
+     * @throws {Error} If a function in use cannot be named.
+     */
+    snapshot(opts = {}) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+	const name = functionNamer(o.functions);
+	const env = this._workerConfig || this.setWorkerConfig(this.opts.worker);
+
+	const dedupeRef = (d) => d ? { windowMs: d.windowMs, key: name(d.key, "dedupe.key") } : false;
+
+	const worker = Object.assign({}, env, {
+            sizeOf: name(env.sizeOf, "sizeOf", utils.estimateSize),
+            onEvent: name(env.onEvent, "onEvent"),
+            onEvict: name(env.onEvict, "onEvict"),
+            onPrint: name(env.onPrint, "onPrint"),
+            clock: name(env.clock, "clock", Date.now),
+            dedupe: dedupeRef(utils._normalizeDedupe(env.dedupe))
+	});
+
+	const buckets = [];
+	for (const w of this.workers.values()) {
+            const config = {
+		enabled: w.enabled,
+		max: w.max,
+		maxBytes: w.maxBytes,
+		maxAge: w.maxAge,
+		console: w.console,
+		clone: w.clone,
+		indexes: [...w._indexes.keys()],
+		sampling: w.sampling,
+		redact: w.redact,
+		reduce: w.reduce,
+		errors: w.errors,
+		dedupe: dedupeRef(w.dedupe),
+		sizeOf: name(w.sizeOf, "sizeOf", utils.estimateSize),
+		onEvent: name(w.onEvent, "onEvent"),
+		onEvict: name(w.onEvict, "onEvict"),
+		onPrint: name(w.onPrint, "onPrint"),
+		clock: name(w.clock, "clock", Date.now),
+		workspace: w.userWorkspace
+            };
+
+            const state = w._snapshot();
+            buckets.push({
+		name: w.name,
+		config: utils.toJSONSafe(config),
+		records: state.records.map((rec) => utils.toJSONSafe(rec, o)),
+		counters: utils.toJSONSafe(state.counters),
+		seq: state.seq,
+		count: state.count,
+		lastAt: state.lastAt,
+		tiers: state.tiers
+            });
+	}
+
+	return {
+            version: SNAPSHOT_VERSION,
+            at: env.clock(),
+            manager: { name: this.name, enabled: this.enabled, throwOnError: this.throwOnError, seq: this._seq },
+            worker: utils.toJSONSafe(worker),
+            buckets
+	};
+    }
+
+    /**
+     * Rebuild a Manager from `snapshot()` output (object or JSON text).
+     *
+     * Older snapshot versions are migrated forward first (`snapshot.migrateSnapshot`).
+     * Buckets are recreated with their captured config (the captured `redact` policy
+     * is used as-is, not layered on the default again), then their records are
+     * loaded with the original `header.seq` / `mseq` and counters, without calling
+     * hooks or listeners.
+     *
+     * @param {Object|string} snapshot
+     * @param {Object} [opts]
+     * @param {Object<string, Function>} [opts.functions]
+     *        Functions by reference name (`{ auditHook: fn }`). Names not listed
+     *        resolve through `lib.func.get` when available.
+     * @returns {Manager}
+     * @throws {Error} On invalid / newer snapshots or unresolved function references.
+     */
+    static restore(snapshot, opts = {}) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+	const snap = migrateSnapshot((typeof snapshot === "string") ? JSON.parse(snapshot) : snapshot);
+	const m = (snap.manager && typeof snap.manager === "object") ? snap.manager : {};
+
+	const manager = new Manager({
+            name: m.name,
+            enabled: m.enabled !== false,
+            throwOnError: m.throwOnError === true,
+            worker: bindFunctions(utils.fromJSONSafe(snap.worker || {}), o.functions)
+	});
+	if (Number.isInteger(m.seq)) manager._seq = m.seq;
+
+	for (const b of snap.buckets) {
+            const config = bindFunctions(utils.fromJSONSafe(b.config || {}), o.functions);
+            config.redact = config.redact ? Object.assign({}, config.redact, { inherit: false }) : false;
+
+            const w = manager.createBucket(b.name, config);
+            w._restore({
+		records: (Array.isArray(b.records) ? b.records : []).map(utils.fromJSONSafe),
+		counters: utils.fromJSONSafe(b.counters),
+		seq: b.seq,
+		count: b.count,
+		lastAt: b.lastAt,
+		tiers: b.tiers
+            });
+	}
+
+	return manager;
+    }
     // ---------------------------------------------------------------------------
     // Internals
     // ---------------------------------------------------------------------------
 
+    /**
+     * Deliver a stored record to matching Manager-level listeners (best-effort).
+     * Listener errors are counted on `worker` (`errors.listener`).
+     *
+     * Records from Workers that are no longer registered (replaced buckets)
+     * are ignored.
+     *
+     * @private
+     * @param {Object} record
+     * @param {Worker} worker
+     * @returns {void}
+     */
+    _relay(record, worker) {
+	if (this._listeners.size === 0) return;
+	if (this.workers.get(worker.name) !== worker) return;
+
+	for (const entry of [...this._listeners]) {
+            try {
+		if (entry.buckets && !entry.buckets.has(worker.name)) continue;
+		if (entry.test && !entry.test(record)) continue;
+		entry.fn(record, worker, worker.userWorkspace);
+            } catch (err) {
+		worker._recordError("listener", err);
+            }
+	}
+    }
+
+    /**
+     * Sum `Worker.stats()` counters across buckets.
+     *
+     * @private
+     * @param {Object[]} list `Worker.stats()` snapshots.
+     * @returns {Object} Frozen totals.
+     */
+    _totalStats(list) {
+	const total = {
+            buckets: list.length,
+            size: 0, count: 0, emitted: 0, stored: 0, dropped: 0, deduped: 0, overwritten: 0,
+            evicted: {}, levels: {}, sampled: {}, redacted: {}, errors: {}, lastAt: 0
+	};
+	const add = (into, from) => {
+            for (const [k, n] of Object.entries(from || {})) into[k] = (into[k] || 0) + n;
+	};
+
+	for (const st of list) {
+            for (const k of ["size", "count", "emitted", "stored", "dropped", "deduped", "overwritten"]) total[k] += st[k] || 0;
+            add(total.evicted, st.evicted);
+            add(total.levels, st.levels);
+            add(total.sampled, st.sampled);
+            add(total.redacted, st.redacted);
+            for (const [kind, e] of Object.entries(st.errors || {})) {
+		total.errors[kind] = (total.errors[kind] || 0) + e.count;
+            }
+            if (st.lastAt > total.lastAt) total.lastAt = st.lastAt;
+	}
+
+	Object.freeze(total.evicted);
+	Object.freeze(total.levels);
+	Object.freeze(total.sampled);
+	Object.freeze(total.redacted);
+	Object.freeze(total.errors);
+	return Object.freeze(total);
+    }
+
+    /**
+     * Normalize a bucket selector into a Set of names (null = all buckets).
+     *
+     * @private
+     * @param {any} value `"*"`, null/undefined, a name, or an array of names.
+     * @returns {Set<string>|null}
+     * @throws {Error} If a bucket name is invalid.
+     */
+    _bucketSet(value) {
+	if (value == null || value === "*") return null;
+	const list = Array.isArray(value) ? value : [value];
+	return new Set(list.map((n) => utils.validateBucketName(n)));
+    }
+
+    /**
+     * Copy forwarding opts and attach the next manager-wide sequence number.
+     *
+     * The sequence is strictly increasing across all buckets of this Manager;
+     * it may have gaps when a Worker drops a forwarded record.
+     *
+     * @private
+     * @param {any} opts
+     * @returns {Object}
+     */
+    _stamp(opts) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+	return Object.assign({}, o, { mseq: ++this._seq });
+    }
+
     /**
      * Get an existing Worker by name (strict lookup).
      *
@@ -0,0 +1,157 @@
+/**
+ * log/Ring.js
+ * -----------
+ * Minimal chronological buffer used by Worker storage.
+ *
+ * - `capacity === 0` => unbounded (append-only, oldest may still be shifted off)
+ * - `capacity > 0`   => fixed-size ring; pushing into a full ring overwrites the oldest slot
+ *
+ * All positional access (`at`, `toArray`) is chronological (oldest → newest),
+ * independent of where items physically live in the backing array.
+ *
+ * Ring does not know about records, hooks, or policy. Callers receive evicted
+ * items back from `push`/`shift`/`setCapacity`/`clear` and decide what to do with them.
+ */
+export default class Ring {
+    /**
+     * @param {number} [capacity=0] 0 = unbounded, positive integer = ring size.
+     */
+    constructor(capacity = 0) {
+        this.capacity = capacity;
+        this._buf  = [];
+        this._head = 0; // physical index of the oldest item
+        this._size = 0;
+
+        // number of items lost to overwrite-on-push (bounded rings only)
+        this.overwritten = 0;
+    }
+
+    /**
+     * Number of items currently held.
+     * @returns {number}
+     */
+    get length() {
+        return this._size;
+    }
+
+    /**
+     * Append an item as the newest entry.
+     *
+     * @param {any} item
+     * @returns {any} The overwritten oldest item when a bounded ring was full, otherwise undefined.
+     */
+    push(item) {
+        // unbounded: plain append after head
+        if (this.capacity === 0) {
+            this._buf.push(item);
+            this._size++;
+            return undefined;
+        }
+
+        // bounded, not yet full
+        if (this._size < this.capacity) {
+            this._buf[(this._head + this._size) % this.capacity] = item;
+            this._size++;
+            return undefined;
+        }
+
+        // bounded + full: overwrite oldest and advance head
+        const evicted = this._buf[this._head];
+        this._buf[this._head] = item;
+        this._head = (this._head + 1) % this.capacity;
+        this.overwritten++;
+        return evicted;
+    }
+
+    /**
+     * Remove and return the oldest item.
+     *
+     * @returns {any} The removed item, or undefined when empty.
+     */
+    shift() {
+        if (this._size === 0) return undefined;
+
+        const item = this._buf[this._head];
+        this._buf[this._head] = undefined;
+        this._size--;
+
+        if (this.capacity === 0) {
+            this._head++;
+            // compact occasionally so the unbounded backing array does not grow forever
+            if (this._size === 0) {
+                this._buf.length = 0;
+                this._head = 0;
+            } else if (this._head >= 1024 && this._head >= this._size) {
+                this._buf = this._buf.slice(this._head);
+                this._head = 0;
+            }
+        } else {
+            this._head = (this._head + 1) % this.capacity;
+        }
+
+        return item;
+    }
+
+    /**
+     * Read the item at chronological position `i` (0 = oldest).
+     *
+     * @param {number} i
+     * @returns {any} The item, or undefined when out of range.
+     */
+    at(i) {
+        if (i < 0 || i >= this._size) return undefined;
+        if (this.capacity === 0) return this._buf[this._head + i];
+        return this._buf[(this._head + i) % this.capacity];
+    }
+
+    /**
+     * Read the oldest item without removing it.
+     * @returns {any}
+     */
+    first() {
+        return this.at(0);
+    }
+
+    /**
+     * Copy items into a new array in chronological order (oldest → newest).
+     *
+     * @returns {any[]}
+     */
+    toArray() {
+        const out = new Array(this._size);
+        for (let i = 0; i < this._size; i++) out[i] = this.at(i);
+        return out;
+    }
+
+    /**
+     * Change capacity, keeping the most recent items.
+     *
+     * @param {number} capacity 0 = unbounded, positive integer = ring size.
+     * @returns {any[]} Items dropped to fit the new capacity (oldest first).
+     */
+    setCapacity(capacity) {
+        const list = this.toArray();
+        const keep = (capacity > 0 && list.length > capacity) ? capacity : list.length;
+        const evicted = list.slice(0, list.length - keep);
+
+        this.capacity = capacity;
+        this._buf  = list.slice(list.length - keep);
+        this._head = 0;
+        this._size = this._buf.length;
+
+        return evicted;
+    }
+
+    /**
+     * Remove everything.
+     *
+     * @returns {any[]} The removed items (oldest first).
+     */
+    clear() {
+        const evicted = this.toArray();
+        this._buf  = [];
+        this._head = 0;
+        this._size = 0;
+        return evicted;
+    }
+}
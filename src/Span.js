@@ -0,0 +1,107 @@
+/**
+ * log/Span.js
+ * -----------
+ * Timed operation over a single Worker.
+ *
+ * Created via `worker.span(event, body, opts)`. A span emits two records that
+ * share `header.span.id`:
+ *
+ *   start: header.span = { id, parent, phase: "start" }
+ *   end:   header.span = { id, parent, phase: "end", duration }
+ *
+ * `duration` is the end record's `header.at` minus the start record's (ms,
+ * Worker `clock`). `parent` links nested spans; `worker.spanTree(filter)`
+ * rebuilds the tree from stored records.
+ *
+ * When the start record is dropped (sampling, disabled Worker), the span is
+ * not recorded: `end()` still measures `duration` but emits nothing.
+ */
+
+export default class Span {
+    /**
+     * @param {import('./Worker.js').default} worker
+     * @param {string} event `header.event` for both records.
+     * @param {any} [body] Payload of the start record (defaults to `{}`).
+     * @param {Object} [opts] `Worker.emit()` options plus:
+     * @param {Span|number|string} [opts.parent] Parent span (or its id).
+     * @param {string} [opts.level="log"] Level of the start / end records.
+     */
+    constructor(worker, event, body, opts = {}) {
+        const o = (opts && typeof opts === "object") ? opts : {};
+        const parent = (o.parent instanceof Span) ? o.parent.id : o.parent;
+
+        this.worker   = worker;
+        this.event    = event;
+        this.id       = ++worker._spanSeq;
+        this.parent   = (parent != null) ? parent : null;
+        this.trace    = (o.trace !== undefined) ? o.trace
+            : (o.parent instanceof Span) ? o.parent.trace : undefined;
+        this.level    = (o.level != null) ? o.level : "log";
+        this.ended    = false;
+        this.duration = null;
+
+        this._opts = Object.assign({}, o);
+        delete this._opts.parent;
+
+        this.startedAt = worker.clock();
+        this.start = worker.emit((body !== undefined) ? body : {}, this._emitOpts({}, { phase: "start" }, this.startedAt));
+    }
+
+    /**
+     * End the span and emit its end record.
+     *
+     * Ending twice is a no-op (returns null). So is ending a span whose start
+     * record was dropped, apart from setting `duration`.
+     *
+     * @param {any} [extra] Payload of the end record (defaults to `{}`).
+     * @param {Object} [opts] Per-call overrides (e.g. `{ level: "error" }`).
+     * @returns {Object|null} The stored end record, or null if dropped / already ended.
+     */
+    end(extra, opts = {}) {
+        if (this.ended) return null;
+        this.ended = true;
+
+        const at = this.worker.clock();
+        this.duration = at - this.startedAt;
+        if (!this.start) return null; // no start record: an end record would be an orphan
+
+        const o = (opts && typeof opts === "object") ? opts : {};
+        const data = (extra !== undefined) ? extra : {};
+        return this.worker.emit(data, this._emitOpts(o, { phase: "end", duration: this.duration }, at));
+    }
+
+    /**
+     * Start a nested span on the same Worker (inherits this span's trace).
+     *
+     * @param {string} event
+     * @param {any} [body]
+     * @param {Object} [opts]
+     * @returns {Span}
+     */
+    child(event, body, opts = {}) {
+        const o = (opts && typeof opts === "object") ? opts : {};
+        return new Span(this.worker, event, body, Object.assign({}, o, { parent: this }));
+    }
+
+    /**
+     * Build `emit()` options for one of this span's records.
+     *
+     * @private
+     * @param {Object} o Per-call options.
+     * @param {Object} extra Phase-specific `header.span` fields.
+     * @param {number} at `header.at` of the record (the clock reading `duration` uses).
+     * @returns {Object}
+     */
+    _emitOpts(o, extra, at) {
+        const out = Object.assign({}, this._opts, o, {
+            at,
+            level: (o.level != null) ? o.level : this.level,
+            event: this.event,
+            span: Object.assign({ id: this.id, parent: this.parent }, extra)
+        });
+        delete out.parent;
+        if (this.trace !== undefined) out.trace = this.trace;
+        else delete out.trace;
+        return out;
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * log/Tail.js
+ * -----------
+ * Pull-based live tail over a single Worker.
+ *
+ * Created via `worker.tail(opts)`. Implements the async iterator protocol so
+ * callers can write:
+ *
+ *   for await (const rec of worker.tail({ filter: { level: "error" } })) { ... }
+ *
+ * Behavior:
+ * - subscribes to the Worker immediately (records stored after `tail()` returns
+ *   are never missed, even before the first `next()`)
+ * - optionally replays the current buffer first (`replay`)
+ * - buffers undelivered records in a bounded queue; when full, applies the
+ *   overflow policy and counts the loss in `dropped`
+ * - `return()` (e.g. `break` in `for await`) unsubscribes and ends iteration
+ */
+
+import Ring from './Ring.js';
+import { PAGE_KEYS } from './query.js';
+
+const OVERFLOW = new Set(["drop-oldest", "drop-newest"]);
+
+export default class Tail {
+    /**
+     * @param {import('./Worker.js').default} worker
+     * @param {Object} [opts]
+     * @param {Object} [opts.filter]
+     *        `Worker.get()`-style filter applied to replayed and live records
+     *        (paging options such as `limit` and `order` are ignored).
+     * @param {boolean|number} [opts.replay=false]
+     *        `true` replays all currently stored matching records first;
+     *        a positive integer replays only the most recent N.
+     * @param {number} [opts.maxQueue=1000]
+     *        Maximum undelivered records held (positive integer).
+     * @param {"drop-oldest"|"drop-newest"} [opts.overflow="drop-oldest"]
+     *        What to discard when the queue is full.
+     * @param {AbortSignal} [opts.signal]
+     *        Optional signal; aborting ends the tail like `return()`.
+     * @throws {Error} on invalid `maxQueue` / `overflow`
+     */
+    constructor(worker, opts = {}) {
+        const o = (opts && typeof opts === "object") ? opts : {};
+
+        const maxQueue = ("maxQueue" in o) ? Number(o.maxQueue) : 1000;
+        if (!Number.isInteger(maxQueue) || maxQueue <= 0) {
+            throw new Error(`[log] invalid tail maxQueue: ${o.maxQueue}`);
+        }
+
+        const overflow = ("overflow" in o) ? o.overflow : "drop-oldest";
+        if (!OVERFLOW.has(overflow)) {
+            throw new Error(`[log] invalid tail overflow policy: ${overflow}`);
+        }
+
+        // paging options do not apply to a tail
+        const filter = Object.assign({}, (o.filter && typeof o.filter === "object") ? o.filter : {});
+        for (const k of PAGE_KEYS) delete filter[k];
+
+        this.worker   = worker;
+        this.overflow = overflow;
+        this.dropped  = 0;
+        this.done     = false;
+
+        this._queue   = new Ring(maxQueue);
+        this._waiting = null; // pending next() resolver
+
+        // replay first (synchronous: nothing can be stored in between)
+        if (o.replay) {
+            const q = Object.assign({}, filter);
+            if (Number.isInteger(o.replay) && o.replay > 0) q.limit = o.replay;
+            for (const rec of worker.get(q)) this._offer(rec);
+        }
+
+        this._unsubscribe = worker.subscribe((rec) => this._offer(rec), { filter });
+
+        this._signal = o.signal || null;
+        if (this._signal) {
+            this._onAbort = () => this.return();
+            if (this._signal.aborted) this.return();
+            else this._signal.addEventListener("abort", this._onAbort, { once: true });
+        }
+    }
+
+    /**
+     * Number of records queued but not yet delivered.
+     * @returns {number}
+     */
+    get size() {
+        return this._queue.length;
+    }
+
+    /**
+     * @returns {Tail}
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Resolve with the next record, waiting for one to be stored if needed.
+     *
+     * @returns {Promise<{ value: Object|undefined, done: boolean }>}
+     */
+    next() {
+        if (this._queue.length > 0) {
+            return Promise.resolve({ value: this._queue.shift(), done: false });
+        }
+        if (this.done) {
+            return Promise.resolve({ value: undefined, done: true });
+        }
+        if (this._waiting) {
+            // concurrent next() calls queue up behind the pending one
+            return this._waiting.promise.then(() => this.next());
+        }
+
+        let resolve;
+        const promise = new Promise((r) => { resolve = r; });
+        this._waiting = { promise, resolve };
+        return promise;
+    }
+
+    /**
+     * Stop tailing: unsubscribe, drop queued records, end iteration.
+     *
+     * @returns {Promise<{ value: undefined, done: true }>}
+     */
+    return() {
+        if (!this.done) {
+            this.done = true;
+            this._unsubscribe();
+            this._queue.clear();
+
+            if (this._signal && this._onAbort) {
+                this._signal.removeEventListener("abort", this._onAbort);
+            }
+
+            const w = this._waiting;
+            this._waiting = null;
+            if (w) w.resolve({ value: undefined, done: true });
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * Same as `return()` (errors thrown into the iterator just end the tail).
+     *
+     * @returns {Promise<{ value: undefined, done: true }>}
+     */
+    throw() {
+        return this.return();
+    }
+
+    /**
+     * Deliver or queue a record, applying the overflow policy.
+     *
+     * @private
+     * @param {Object} rec
+     * @returns {void}
+     */
+    _offer(rec) {
+        if (this.done) return;
+
+        // a consumer is already waiting: hand over directly
+        if (this._waiting) {
+            const w = this._waiting;
+            this._waiting = null;
+            w.resolve({ value: rec, done: false });
+            return;
+        }
+
+        if (this._queue.length >= this._queue.capacity && this.overflow === "drop-newest") {
+            this.dropped++;
+            return;
+        }
+
+        // drop-oldest: a full ring overwrites its oldest entry
+        if (this._queue.push(rec) !== undefined) this.dropped++;
+    }
+}
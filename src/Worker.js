@@ -2,7 +2,8 @@
  * log/Worker.js
  * ------------
  * Worker represents a single log stream ("bucket") with its own:
- * - storage policy (unlimited or ring-buffer via `max`)
+ * - storage policy (unlimited or ring-buffer via `max`, optional per-level tiers,
+ *   optional byte budget via `maxBytes`, optional time window via `maxAge`)
  * - enable/disable switch
  * - console emission policy (`console`)
  * - optional per-record hook (`onEvent`)
@@ -13,19 +14,30 @@
  * Worker responsibilities:
  * - normalize + emit records (via `emit()`) into a stable `{ header, body }` shape
  * - store records in-memory (unlimited array or ring buffer)
- * - expose retrieval APIs (`get`, `stats`)
+ * - expose retrieval APIs (`get`, `aggregate`, `stats`), optionally accelerated by secondary indexes
  * - enforce bucket-level storage limits (`truncate`)
- * - dispatch `onEvent` best-effort after acceptance/storage
+ * - dispatch `onEvent` and `subscribe()` listeners best-effort after acceptance/storage
+ * - dispatch `onEvict` best-effort when records leave storage
  * - optionally print records using `onPrint` or the default printer
  *
  * Record shape:
  * - `{ header, body }`
- * - `header` is system-owned metadata (e.g. `at`, `source`, `level`, `event`, `trace`)
+ * - `header` is system-owned metadata (e.g. `at`, `seq`, `source`, `level`, `event`, `trace`)
  * - `body` is user-owned payload (opaque to Worker)
  */
 
 import { CONSOLE_LEVEL } from './constants.js';
 import utils             from './utils.js';
+import Ring              from './Ring.js';
+import Cursor            from './Cursor.js';
+import Tail              from './Tail.js';
+import Child             from './Child.js';
+import Span              from './Span.js';
+import { createAggregator } from './aggregate.js';
+import { normalizeSampling, createSampler } from './sampling.js';
+import { normalizeRedact, createRedactor } from './redact.js';
+import context           from './context.js';
+import { compileFilter, readKey, isOperatorObject, encodePageToken, decodePageToken, PAGE_KEYS } from './query.js';
 /**
  * Worker
  * ------
@@ -48,11 +60,50 @@ export default class Worker {
      * @param {Object} [opts]
      * @param {string} [opts.name='default']
      *        Logical name of this Worker (used as `record.header.source`).
-     * @param {number|string|false|null|undefined} [opts.max=0]
+     * @param {number|string|Object|false|null|undefined} [opts.max=0]
      *        Maximum number of retained records.
      *        - falsy / 0 / "0" => unlimited storage
      *        - positive integer => ring buffer size
+     *        - plain object => per-level retention tiers, e.g.
+     *          `{ error: 500, warn: 200, default: 100 }`; each listed level gets
+     *          its own ring, all other levels share `default` (missing = unlimited)
      *        - negative, float, or non-numeric values throw
+     * @param {number|string|false|null|undefined} [opts.maxBytes=0]
+     *        Optional byte budget for retained records (estimated via `sizeOf`).
+     *        - falsy / 0 / "0" => no byte budget
+     *        - positive integer => oldest records are evicted while the estimated
+     *          total exceeds the budget (the newest record is always kept)
+     *        Works together with `max`: whichever limit is hit first evicts.
+     * @param {Function|string|any} [opts.sizeOf=utils.estimateSize]
+     *        Size estimator used for `maxBytes`. Signature: `(record) => number`.
+     * @param {number|string|false|null|undefined} [opts.maxAge=0]
+     *        Optional retention window in milliseconds.
+     *        - falsy / 0 / "0" => no time limit
+     *        - positive integer => records whose `header.at` is older than
+     *          `clock() - maxAge` are evicted on store and on read
+     *        Combines with `max` / `maxBytes` (any limit may evict).
+     * @param {string[]} [opts.indexes=[]]
+     *        Optional secondary indexes on record fields, using `get()` filter key
+     *        syntax (e.g. `["event", "trace", "body.user.id"]`). `get()` uses them
+     *        automatically for equality / `$eq` / `$in` conditions on those keys.
+     * @param {Object|null} [opts.sampling=null]
+     *        Optional capture-time sampling / rate limiting policy (see `sampling.js`):
+     *        `{ probability, rateLimit: { perSecond, burst }, nth: { first, every },
+     *        exempt = ["error"], seed }`. Rejected emits return null before a record is built.
+     * @param {boolean|Object|null} [opts.redact=null]
+     *        Optional redaction policy applied to `body` before storage:
+     *        `true` (built-ins) or `{ paths, drop, patterns, builtins, mask }`
+     *        (see `redact.js`). The caller's object is never mutated.
+     * @param {Object|null} [opts.reduce=null]
+     *        Optional payload shape reduction (depth / string / array / key limits,
+     *        allow / deny paths), applied in `emit()` or on read (see `setReduce`).
+     * @param {boolean|Object|null} [opts.errors=true]
+     *        Error normalization: Error payloads (and top-level Error fields) are
+     *        stored as `{ name, message, code, stack, frames, cause, errors }`
+     *        (see `setErrors`). `false` stores Error objects as-is.
+     * @param {boolean|Object} [opts.dedupe=false]
+     *        Optional duplicate collapsing: `true` or `{ windowMs = 1000, key }`
+     *        (see `setDedupe`).
      * @param {boolean} [opts.enabled=true]
      *        Master enable switch for this Worker. When false, emitted records are dropped.
      * @param {number|string|boolean|null|undefined} [opts.console]
@@ -60,6 +111,11 @@ export default class Worker {
      * @param {Function|string|any} [opts.onEvent=null]
      *        Optional per-record hook invoked after a record is accepted/stored.
      *        Signature: `(record, worker, workspace) => void`
+     * @param {Function|string|any} [opts.onEvict=null]
+     *        Optional hook invoked when stored records leave storage.
+     *        Signature: `(records, reason, worker, workspace) => void`
+     *        where `reason` is one of `"overwrite"`, `"truncate"`, `"maxBytes"`,
+     *        `"maxAge"`, `"clear"`.
      * @param {Function|string|any} [opts.onPrint=null]
      *        Optional printer implementation used for console output.
      *        Signature: `(record, ctx, workspace) => void`
@@ -86,15 +142,35 @@ export default class Worker {
      */
     constructor(opts = {}) {
 	this.name    = String(opts.name || "default");
-	this.max     = utils._normalizeLogMax(opts.max);
+	this.max     = utils._normalizeLevelMax(opts.max);
+	this.maxBytes = utils._normalizeLogMax(opts.maxBytes, "maxBytes");
+	this.sizeOf  = utils._getFunction(opts.sizeOf, "sizeOf") || utils.estimateSize;
+	this.maxAge  = utils._normalizeLogMax(opts.maxAge, "maxAge");
 	this.enabled = opts.enabled !== false;
 	this.console = utils._normalizeConsoleLevel(opts.console);
 
 	this.onEvent = utils._getFunction(opts.onEvent, "onEvent");
+	this.onEvict = utils._getFunction(opts.onEvict, "onEvict");
 	this.onPrint = utils._getFunction(opts.onPrint, "onPrint");
 	
 	this.clock   = utils._getClock(opts.clock);
 
+	// capture-time sampling (needs clock for rate limiting)
+	this.setSampling(opts.sampling);
+
+	// body redaction before storage
+	this.setRedact(opts.redact);
+
+	// payload shape reduction (before cloning, so huge bodies are never copied whole)
+	this.setReduce(opts.reduce);
+
+	// Error payloads -> plain objects
+	this.setErrors(opts.errors);
+
+	// duplicate collapsing (current run: { record, key, repeats, lastAt, ctx })
+	this._run = null;
+	this.setDedupe(opts.dedupe);
+
 	// default cloning policy (per-call `opts.clone` may override)
 	this.clone = opts.clone === true;
 	
@@ -104,11 +180,32 @@ export default class Worker {
             ? this._resolveWorkspace(opts.workspace)
             : {};
 
-	// storage
-	this._events = [];
-	this._cursor = 0;
+	// storage: one ring per retention tier ("default" + any per-level tiers)
+	this._tiers  = new Map();
+	this._seq    = 0;             // last `header.seq` stamped (never reset; orders records across tiers)
+	this._size   = 0;
+	this._buildTiers();
 	this._count  = 0;
 	this._lastAt = 0;
+
+	// span ids handed out by span() and open time() labels
+	this._spanSeq = 0;
+	this._timers  = new Map();
+
+	// lifetime counters reported by stats() (reset only by resetStats())
+	this._counters = this._newCounters();
+
+	// record listeners registered via subscribe(): Set<{ fn, test }>
+	this._listeners = new Set();
+
+	// byte accounting (only tracked while a byte budget is set)
+	this._bytes = 0;
+	this._sizes = new WeakMap();
+
+	// secondary indexes: Map<filterKey, Map<value, Set<record>>>
+	// (array values are indexed under the array and each element)
+	this._indexes = new Map();
+	this.setIndexes(opts.indexes);
     }
     
     
@@ -136,42 +233,274 @@ export default class Worker {
      *
      * - `0` / falsy / `"0"` => unlimited (no truncation required)
      * - positive integer   => ring buffer size (retain last N records)
+     * - plain object       => per-level tiers (see constructor `opts.max`)
      * - invalid values     => throws
      *
      * If reducing max below current stored size, truncates immediately to keep
-     * the most recent entries and re-aligns ring cursor.
+     * the most recent entries (per tier).
      *
-     * @param {number|string|false|null|undefined} value
+     * @param {number|string|Object|false|null|undefined} value
      * @returns {void}
      * @throws {Error} on invalid value
      */
     setLogMax(value){
-        this.max = utils._normalizeLogMax(value);
+        this.max = utils._normalizeLevelMax(value);
+        this.truncate();
+    }
+
+    /**
+     * Set the byte budget for retained records.
+     *
+     * - `0` / falsy / `"0"` => no byte budget
+     * - positive integer   => estimated bytes retained (see `sizeOf`)
+     * - invalid values     => throws
+     *
+     * Enabling a budget measures currently stored records once; if they exceed
+     * the budget, the oldest are evicted immediately.
+     *
+     * @param {number|string|false|null|undefined} value
+     * @returns {void}
+     * @throws {Error} on invalid value
+     */
+    setMaxBytes(value){
+        const next = utils._normalizeLogMax(value, "maxBytes");
+        const was  = this.maxBytes;
+        this.maxBytes = next;
+
+        if (next === 0) {
+            this._bytes = 0;
+            this._sizes = new WeakMap();
+            return;
+        }
+
+        // budget newly enabled: measure what is already stored
+        if (was === 0) this._measureAll();
+
         this.truncate();
     }
 
 
     /**
-     * Enforce `this.max` against current storage.
+     * Set the retention window (milliseconds) for stored records.
+     *
+     * - `0` / falsy / `"0"` => no time limit
+     * - positive integer   => keep records with `header.at >= clock() - maxAge`
+     * - invalid values     => throws
      *
-     * - No-op if `max === 0` (unlimited).
-     * - If stored size exceeds max, keeps the most recent `max` records.
-     * - Re-aligns ring cursor to a valid next-write position.
+     * Expired records are evicted immediately.
      *
+     * @param {number|string|false|null|undefined} value
      * @returns {void}
+     * @throws {Error} on invalid value
      */
-    truncate(){
-        // unlimited storage: nothing to do
-        if (this.max === 0) return;
+    setMaxAge(value){
+        this.maxAge = utils._normalizeLogMax(value, "maxAge");
+        this._expire();
+    }
+
+    /**
+     * Set the secondary indexes maintained for this bucket.
+     *
+     * Keys use `get()` filter key syntax (`"event"`, `"header.trace"`,
+     * `"body.user.id"`). Indexes are (re)built from the records currently
+     * stored and then maintained on store, overwrite, truncate, expiry and clear.
+     *
+     * Notes:
+     * - Values are indexed as they are when the record is stored. Bodies mutated
+     *   by reference afterwards are still re-checked by the full filter, but a
+     *   record whose value *changed into* a match is not found via the index.
+     * - Array values are indexed under each element as well, so `$in` finds
+     *   records whose array contains one of the values (as a scan does).
+     * - Falsy / empty input removes all indexes.
+     *
+     * @param {string[]|string|null|undefined} keys
+     * @returns {void}
+     * @throws {Error} If `keys` is not an array of non-empty strings.
+     */
+    setIndexes(keys) {
+	const list = !keys ? [] : (Array.isArray(keys) ? keys : [keys]);
+
+	this._indexes = new Map();
+	this._indexed = new WeakMap(); // record -> Map<filterKey, indexed values>
+	for (const k of list) {
+            if (typeof k !== "string" || k.trim() === "") {
+		throw new Error(`[log] invalid index key: ${k}`);
+            }
+            this._indexes.set(k.trim(), new Map());
+	}
+
+	if (this._indexes.size === 0) return;
+	for (const rec of this._list()) this._indexAdd(rec);
+    }
+
+    /**
+     * Set the capture-time sampling policy.
+     *
+     * Decisions are made in `emit()` from `level` and `opts.event` before a
+     * record is built, so rejected emits cost no allocation. Levels listed in
+     * `exempt` (default `["error"]`) bypass every policy. Setting a policy
+     * (even the same one) starts with fresh sampler state.
+     *
+     * - falsy => no sampling
+     * - object => `{ probability, rateLimit, nth, exempt, seed }` (see `sampling.js`)
+     *
+     * @param {Object|null|undefined} spec
+     * @returns {void}
+     * @throws {Error} On malformed policies.
+     */
+    setSampling(spec) {
+	this.sampling = normalizeSampling(spec);
+	this._sampler = this.sampling ? createSampler(this.sampling, () => this.clock()) : null;
+    }
+
+    /**
+     * Set the redaction policy applied to record bodies in `emit()`, before storage.
+     *
+     * - falsy => no redaction
+     * - `true` => built-in rules only
+     * - object => `{ paths, drop, patterns, builtins = true, mask = "[REDACTED]" }`
+     *
+     * Redaction is copy-on-write: only containers on the way to a changed value
+     * are copied, so the caller's object is never mutated (with or without `clone`).
+     * If redaction itself fails, the whole body is replaced by `{ value: mask }`
+     * (fail closed) and the failure is counted in `stats().errors.redact`.
+     *
+     * @param {boolean|Object|null|undefined} spec
+     * @returns {void}
+     * @throws {Error} On malformed policies.
+     */
+    setRedact(spec) {
+	this.redact = normalizeRedact(spec);
+	this._redactor = createRedactor(this.redact);
+    }
+
+    /**
+     * Set the payload shape reduction policy.
+     *
+     * - falsy => no reduction
+     * - object => `{ maxDepth, maxString, maxArray, maxKeys, allow, deny, at = "capture" }`
+     *   (see `utils.reducePayload`)
+     *
+     * With `at: "capture"` the payload is reduced in `emit()` before the record is
+     * built, so `clone` only copies what is kept. With `at: "export"` full bodies
+     * are stored and reduced copies are produced on read (`get({ reduce: true })`).
+     * `emit(..., { reduce })` overrides the policy for one call (`false` = none).
+     *
+     * Reduction runs after `redact`, so a truncated string never keeps part of a
+     * secret that a pattern would have masked.
+     *
+     * @param {Object|null|undefined} spec
+     * @returns {void}
+     * @throws {Error} On invalid limits, paths or `at`.
+     */
+    setReduce(spec) {
+	this.reduce = utils._normalizeReduce(spec);
+    }
+
+    /**
+     * Set the Error normalization policy.
+     *
+     * - `true` / undefined => on, `{ keepOriginal: false, maxCause: 16 }`
+     * - `false` / null => off (Error objects are stored as given)
+     * - object => `{ keepOriginal, maxCause }`
+     *
+     * When on, `emit()` replaces an Error payload (or an Error value at the top
+     * level of a plain object payload) with `utils.normalizeError()` output, so
+     * error records can be filtered (`{ "body.code": "ECONNRESET" }`), cloned and
+     * exported like any other body. `keepOriginal` also keeps the Error itself as
+     * `body.original`.
+     *
+     * @param {boolean|Object|null|undefined} spec
+     * @returns {void}
+     * @throws {Error} On invalid values.
+     */
+    setErrors(spec) {
+	this.errors = utils._normalizeErrors(spec);
+    }
+
+    /**
+     * Set duplicate collapsing.
+     *
+     * While on, a record whose level, event and key (`dedupe.key(record)`, or the
+     * JSON-serialized body) match the previously stored record, within `windowMs`
+     * of its last repeat, is not stored. Instead the stored record gets:
+     * - `header.repeat` : number of repeats folded into it
+     * - `header.lastAt` : `header.at` of the latest repeat
+     *
+     * (`header.delta` is not rewritten: it keeps the gap between the run's first
+     * record and the record stored before it.)
+     *
+     * Repeats do not stamp a `seq`, fire `onEvent` / listeners, or print. When a
+     * run ends (a different record is stored, `clear()`, `flushRepeats()`, or the
+     * record is evicted), a printed run prints `"(repeated N times)"` via the
+     * printer with `ctx.repeated = N`.
+     *
+     * - falsy => off
+     * - `true` => `{ windowMs: 1000 }`
+     * - `{ windowMs = 1000, key }` => `windowMs: 0` means no time limit
+     *
+     * @param {boolean|Object|null|undefined} spec
+     * @returns {void}
+     * @throws {Error} On invalid values.
+     */
+    setDedupe(spec) {
+	this.dedupe = utils._normalizeDedupe(spec);
+	if (!this.dedupe) this._endRun();
+    }
 
-        const len = this._events.length;
-        if (len <= this.max) return;
+    /**
+     * End the current dedupe run now (printing its `"(repeated N times)"` notice
+     * if due). The next record starts a new run.
+     *
+     * @returns {void}
+     */
+    flushRepeats() {
+	this._endRun();
+    }
 
-        // keep most recent `max` events
-        this._events = this._events.slice(len - this.max);
+    /**
+     * Enforce `this.max` and `this.maxBytes` against current storage.
+     *
+     * - If stored size exceeds max, keeps the most recent `max` records
+     *   (per tier when `max` is a per-level map).
+     * - If estimated bytes exceed maxBytes, evicts oldest records until within
+     *   budget (always keeping the newest record).
+     * - No-op when neither limit is exceeded.
+     * - Dropped records are reported to `onEvict` with reason `"truncate"`
+     *   (or `"maxBytes"` for the byte budget).
+     *
+     * @returns {void}
+     */
+    truncate(){
+        const caps = this._tierCaps();
+        const sameShape =
+              caps.size === this._tiers.size &&
+              [...caps.keys()].every((k) => this._tiers.has(k));
+
+        const dropped = [];
+
+        if (sameShape) {
+            for (const [key, cap] of caps) {
+                const ring = this._tiers.get(key);
+                if (ring.capacity === cap) continue;
+                for (const rec of ring.setCapacity(cap)) dropped.push(rec);
+            }
+            this._size = this._countStored();
+        } else {
+            // tier layout changed: re-file every record (oldest first) into the new tiers
+            const all = this._list();
+            const counts = new Map([...this._tiers].map(([key, ring]) => [key, ring.overwritten]));
+            this._buildTiers();
+            for (const rec of all) {
+                const lost = this._storeRecord(rec, false);
+                if (lost) dropped.push(lost);
+            }
+            // re-filing losses are truncations: surviving tiers keep their counts, new tiers start at 0
+            for (const [key, ring] of this._tiers) ring.overwritten = counts.get(key) ?? 0;
+        }
 
-	// reset ring cursor to a valid next write position (end of current list)
-        this._cursor = this._events.length % this.max;
+        this._evict(dropped, "truncate");
+        this._enforceBytes();
     }
 
     /**
@@ -182,28 +511,53 @@ export default class Worker {
      * Behavior:
      * - If disabled (`enabled === false`) => returns null (dropped)
      * - If record is falsy => returns null
+     * - If its `header.at` is already outside `maxAge` => returns null (not stored,
+     *   counted or dispatched)
+     * - Stamps `header.seq` with this Worker's next sequence number
      * - Otherwise stores into unlimited or ring buffer depending on `max`
+     * - Evicts oldest records while over the `maxBytes` budget (if any)
+     * - Evicts records older than `maxAge` (if any)
+     * - Reports records pushed out by the ring / limits to `onEvict` (best-effort)
      * - Dispatches the per-bucket `onEvent` hook best-effort (hook errors swallowed)
      *
      * @param {{header: Object, body: any}} record
      *        A normalized log record.
+     * @param {boolean} [fire=true]
+     *        When false, `onEvent` and subscribers are not called (used by imports).
      * @returns {Object|null} The stored record, or null if dropped.
      */
-    _push(record) {
+    _push(record, fire = true) {
 	// drop if disabled or no record
 	if (!this.enabled) return null;
 	if (!record) return null;
 
+	// already outside the time window (imported / skewed timestamps): never stored
+	const cutoff = this._ageCutoff();
+	if (cutoff != null && record.header?.at < cutoff) return null;
+
 	// total count
 	this._count++;
 
-	// store (unlimited vs ring)
-	const stored = (this.max === 0)
-              ? this._pushUnlimited(record)
-              : this._pushRing(record);
+	// per-Worker monotonic sequence (stored records only)
+	if (record.header && typeof record.header === "object") {
+	    record.header.seq = ++this._seq;
+	}
+
+	// store (unlimited vs ring), then apply byte budget + time window
+	const overwritten = this._storeRecord(record);
+	if (overwritten) this._evict([overwritten], "overwrite");
+	this._enforceBytes();
+	this._expire();
+
+	const stored = record;
+
+	const c = this._counters;
+	c.stored++;
+	const level = String(record.header?.level ?? "log");
+	c.levels[level] = (c.levels[level] || 0) + 1;
 
 	// emit hook (best-effort)
-	if (stored) this._dispatchOnEvent(stored);
+	if (stored && fire) this._dispatchOnEvent(stored);
 
 	return stored;
     }
@@ -213,144 +567,411 @@ export default class Worker {
      * Records are returned in chronological order (oldest → newest),
      * regardless of internal storage mode (unlimited array or ring buffer).
      *
+     * When `maxAge` is set, expired records are evicted before reading.
+     *
      * Filtering:
      * - If `filter` is not an object (or is null), no key-based predicates are applied.
      *   Only special options (`limit`, `since`) may be consulted when present.
      *
      * Key routing:
      * - Explicit targeting:
-     *   - `"header.foo"` → matches `record.header["foo"]` (literal key; no path traversal)
-     *   - `"body.bar"`   → matches `record.body["bar"]` (literal key; no path traversal)
+     *   - `"header.foo"`    → matches `record.header.foo`
+     *   - `"body.user.id"`  → matches `record.body.user.id` (dotted path traversal)
      * - Best-effort targeting (when no prefix is provided):
      *   - Known header fields (`at`, `source`, `level`, `event`, `trace`) match header
-     *   - All other bare keys match body
+     *   - All other bare keys match body (dotted paths allowed)
+     * - A literal key containing dots (e.g. `body["user.id"]`) wins over traversal.
      *
      * Value matching:
      * - Scalars compare via strict equality (`===`).
      * - Functions are treated as predicates: `(value, record) => boolean`
      *   Predicate errors are swallowed and treated as a non-match.
+     * - Operator objects: `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`, `$lte`,
+     *   `$regex` (+ `$options`), `$exists`, `$not` — e.g. `{ "body.ms": { $gt: 100 } }`
+     * - RegExp values are shorthand for `$regex`.
+     *
+     * Composition:
+     * - `$and: [filter, …]`, `$or: [filter, …]`, `$not: filter` (nested filters).
+     *
+     * Filters without functions/RegExp values are plain JSON and can be stored
+     * or sent from an inspector UI as-is (see `query.js`).
      *
      * Special filters:
      * - `since` : number (epoch ms)
      *     Filters out records whose `record.header.at` is less than `since`.
+     * - `afterSeq` : number
+     *     Keeps only records whose `record.header.seq` is greater than `afterSeq`
+     *     (unambiguous "new since last read", unlike `since`).
      * - `limit` : non-negative integer
-     *     Limits the result to the most recent `limit` records after filtering.
+     *     Without paging options: keeps the most recent `limit` records after filtering.
+     *     With paging options: page size, counted from the start of `order`.
      *     `limit === 0` returns `[]`.
      *
+     * Paging options (any of these switches `limit` to page-size semantics):
+     * - `order` : `"asc"` (oldest first, default) | `"desc"` (newest first)
+     * - `offset` : non-negative integer; matches skipped before the page starts
+     * - `pageToken` : opaque continuation token from `page()`; the page starts
+     *     strictly after the record the token was issued for. Tokens anchor on
+     *     `header.seq`, so pages stay stable while records arrive or are evicted.
+     *
+     * Read option:
+     * - `reduce` : `true` (this worker's `reduce` policy) or a reduce spec;
+     *     returns reduced copies of the matching bodies (see `setReduce`).
+     *
      * @param {any} [filter]
      * @returns {Object[]} Array of matching records.
-     * @throws {Error} If `limit` is present but invalid (non-integer or negative).
+     * @throws {Error} If `limit`, `offset`, `order` or `pageToken` is invalid,
+     *         or the filter uses an unknown operator.
      */
     get(in_filter = {}) {
 	//force a hash
 	const filter = (in_filter && typeof in_filter === "object") ? in_filter : {};
+	const opts = this._readOptions(filter);
+	if (opts.limit === 0) return [];
 
-	// limit: if provided, must be a non-negative integer
-	let limit = null;
-	if (filter && "limit" in filter) {
-            const n = Number(filter.limit);
-            if (!Number.isFinite(n) || !Number.isInteger(n) || n < 0) {
-		throw new Error(`[log] invalid limit: ${filter.limit}`);
-            }
-            limit = n;
-            if (limit === 0) return [];
-	}
+	// drop anything that aged out since the last store
+	this._expire();
 
-	// Optional range filter (lower bound on header.at)
-	const since = Number.isFinite(filter?.since) ? filter.since : null;
+	const records = this._select(filter, opts).records;
+	return opts.reduce ? records.map((rec) => this._reduceRecord(rec, opts.reduce)) : records;
+    }
 
-	// Note: ring buffer is stored in overwrite order; we want chronological output.
-	// If max > 0 and buffer is full, oldest item is at _cursor.
-	let list;
-	if (this.max > 0 && this._events.length === this.max) {
-            const head = this._events.slice(this._cursor);
-            const tail = this._events.slice(0, this._cursor);
-            list = head.concat(tail);
-	} else {
-            list = this._events.slice();
-	}
+    /**
+     * Read one page of matching records plus a continuation token.
+     *
+     * Same filter and paging options as `get()`; `limit` is always the page size
+     * (counted from the start of `order`).
+     *
+     * ```js
+     * let page = worker.page({ level: "error", order: "desc", limit: 50 });
+     * while (page.next) {
+     *     page = worker.page({ level: "error", limit: 50, pageToken: page.next });
+     * }
+     * ```
+     *
+     * @param {Object} [filter]
+     * @returns {{ records: Object[], next: string|null }}
+     *          `next` is null when no further matches exist.
+     * @throws {Error} Same as `get()`.
+     */
+    page(in_filter = {}) {
+	const filter = (in_filter && typeof in_filter === "object") ? in_filter : {};
+	const opts = this._readOptions(filter);
+	opts.paged = true;
+
+	this._expire();
 
-	// Known header fields (best-effort routing when caller omits header/body)
-	const KNOWN_HEADER = new Set(["at", "source", "level", "event", "trace"]);
+	if (opts.limit === 0) return { records: [], next: null };
 
-	const predicates = [];
+	const { records, more } = this._select(filter, opts);
+	const last = records[records.length - 1];
 
-	if (filter && typeof filter === "object") {
-            for (const [rawKey, expected] of Object.entries(filter)) {
-		if (rawKey === "limit" || rawKey === "since") continue;
-		if (expected === undefined) continue;
+	return {
+            records: opts.reduce ? records.map((rec) => this._reduceRecord(rec, opts.reduce)) : records,
+            next: (more && last) ? encodePageToken(last.header.seq, opts.order) : null
+	};
+    }
 
-		const key = String(rawKey);
+    /**
+     * Count matching records without building a result array.
+     *
+     * Uses `get()` filter semantics; paging options (`limit`, `order`, `offset`,
+     * `pageToken`) are ignored.
+     *
+     * @param {Object} [filter]
+     * @returns {number}
+     * @throws {Error} If the filter uses an unknown operator.
+     */
+    count(filter = {}) {
+	const f = (filter && typeof filter === "object") ? filter : {};
 
-		let where = null; // 'header' | 'body'
-		let prop = null;
+	let n = 0;
+	this._scan(f, () => { n++; });
+	return n;
+    }
 
-		// Only treat as namespaced if explicitly prefixed
-		if (key.startsWith("header.")) {
-                    where = "header";
-                    prop = key.slice("header.".length); // literal key (no path traversal)
-		} else if (key.startsWith("body.")) {
-                    where = "body";
-                    prop = key.slice("body.".length);   // literal key (no path traversal)
-		} else {
-                    // bare key (including keys containing dots)
-                    prop = key;
-                    where = KNOWN_HEADER.has(prop) ? "header" : "body";
-		}
+    /**
+     * Summarize stored records without copying them out.
+     *
+     * Uses `get()` filter semantics (paging options such as `limit` are ignored)
+     * and feeds each matching record to a streaming aggregator (see `aggregate.js`).
+     *
+     * ```js
+     * worker.aggregate({ groupBy: "level" });
+     * worker.aggregate({ bucketMs: 1000, metrics: ["count", "rate"] });
+     * worker.aggregate({ groupBy: "event", metrics: ["p50:header.delta", "p95:header.delta"] });
+     * ```
+     *
+     * @param {Object} [spec]
+     * @param {string|string[]} [spec.groupBy] Filter-syntax keys to group by.
+     * @param {Array<string|Object>} [spec.metrics=["count"]]
+     *        `"count"`, `"rate"`, `"op:field"` or `{ op, field, as }` with op in
+     *        `count`, `sum`, `min`, `max`, `avg`, `pNN`.
+     * @param {number} [spec.bucketMs] Optional time bucket width (ms) on `header.at`.
+     * @param {Object} [spec.filter] Optional `get()`-style filter.
+     * @returns {{ total: number, from: number|null, to: number|null, groupBy: string[],
+     *             bucketMs: number|null, groups: Array<{ key: Object, at: number|null,
+     *             count: number, metrics: Object }> }}
+     * @throws {Error} On invalid specs or unknown filter operators.
+     */
+    aggregate(spec = {}) {
+	const s = (spec && typeof spec === "object") ? spec : {};
+	const agg = createAggregator(s);
 
-		const isFn = (typeof expected === "function");
+	this._scan(s.filter, agg.add);
 
-		predicates.push((rec) => {
-                    const container = rec && rec[where];
-                    const value = container ? container[prop] : undefined;
+	return agg.result();
+    }
 
-                    if (isFn) {
-			try {
-                            return !!expected(value, rec);
-			} catch {
-                            return false;
-			}
-                    }
+    /**
+     * Export matching records in a JSON-safe, tagged form (see `utils.toJSONSafe`).
+     *
+     * Cycles, BigInt, Error, Map, Set, Date, typed arrays etc. survive the trip;
+     * `utils.fromJSONSafe()` revives each record. Limits apply per record.
+     * When the `reduce` policy is `at: "export"` (and `filter.reduce` is not set),
+     * bodies are reduced first.
+     *
+     * @param {Object} [opts]
+     * @param {Object} [opts.filter] `get()`-style filter (paging options apply).
+     * @param {"json"|"object"} [opts.format="json"]
+     *        `"json"`: a JSON array string; `"object"`: the JSON-safe records array.
+     * @param {number} [opts.maxDepth=64]
+     * @param {number} [opts.maxNodes=100000]
+     * @param {number} [opts.maxString=0]
+     * @returns {string|Object[]}
+     * @throws {Error} On an unknown format, invalid limits or an invalid filter.
+     */
+    export(opts = {}) {
+	const o = (opts && typeof opts === "object") ? opts : {};
 
-                    return value === expected;
-		});
-            }
+	const format = (o.format != null) ? o.format : "json";
+	if (format !== "json" && format !== "object") {
+            throw new Error(`[log] invalid export format: ${format}`);
 	}
 
-	// Apply filters
-	let out = list.filter((rec) => {
-            if (!rec) return false;
+	const records = this._exportRecords(o.filter).map((rec) => utils.toJSONSafe(rec, o));
+	return (format === "json") ? JSON.stringify(records) : records;
+    }
 
-            // since => header.at lower bound
-            if (since != null) {
-		const t = Number.isFinite(rec?.header?.at) ? rec.header.at : null;
-		if (t == null || t < since) return false;
-            }
+    /**
+     * Export matching records as newline-delimited JSON (one JSON-safe record per
+     * line, see `export()`), oldest first. Empty exports return `""`.
+     *
+     * @param {Object} [filter] `get()`-style filter (paging options apply).
+     * @param {Object} [opts] `utils.toJSONSafe()` limits (`maxDepth`, `maxNodes`, `maxString`).
+     * @returns {string}
+     * @throws {Error} On invalid limits or an invalid filter.
+     */
+    exportNDJSON(filter = {}, opts = {}) {
+	let out = "";
+	for (const line of this.exportNDJSONStream(filter, opts)) out += line;
+	return out;
+    }
 
-            for (const fn of predicates) {
-		if (!fn(rec)) return false;
-            }
+    /**
+     * Streaming variant of `exportNDJSON()`: a generator yielding one line
+     * (including its trailing `"\n"`) per record, serialized on demand.
+     *
+     * The matching set is fixed when iteration starts.
+     *
+     * ```js
+     * for (const line of worker.exportNDJSONStream({ level: "error" })) file.write(line);
+     * ```
+     *
+     * @param {Object} [filter]
+     * @param {Object} [opts]
+     * @returns {Generator<string>}
+     * @throws {Error} On invalid limits or an invalid filter (when iteration starts).
+     */
+    *exportNDJSONStream(filter = {}, opts = {}) {
+	for (const rec of this._exportRecords(filter)) {
+            yield JSON.stringify(utils.toJSONSafe(rec, opts)) + "\n";
+	}
+    }
 
-            return true;
-	});
+    /**
+     * Load records from NDJSON text (as produced by `exportNDJSON()`).
+     *
+     * Imported records go through normal storage (`max` / tiers, `maxBytes`,
+     * `maxAge`, indexes) and get a fresh `header.seq`, but keep their original
+     * `header.at`, `source`, `level`, `event` and `trace` (the clock is not used).
+     * `lastAt` / `delta` are recomputed between consecutive imported lines.
+     * Sampling, redaction, `reduce` and `dedupe` do not apply.
+     *
+     * Blank lines are ignored; malformed lines are skipped and reported.
+     *
+     * @param {string} text
+     * @param {Object} [opts]
+     * @param {boolean} [opts.preserveHeaders=false]
+     *        Keep every original header field (`lastAt`, `delta`, `repeat`, custom
+     *        fields, …) except `seq` / `mseq`.
+     * @param {boolean} [opts.fireEvents=false]
+     *        Dispatch `onEvent` and subscribers for each imported record.
+     * @returns {{ imported: number, skipped: number, errors: Array<{ line: number, message: string }> }}
+     */
+    importNDJSON(text, opts = {}) {
+	const state = this._importState(opts);
+	const lines = String(text ?? "").split("\n");
+	lines.forEach((line, i) => this._importLine(line, i + 1, state));
+	return state.result;
+    }
 
-	// Apply limit (take most recent `limit`)
-	if (limit != null && limit > 0 && out.length > limit) {
-            out = out.slice(out.length - limit);
+    /**
+     * Streaming variant of `importNDJSON()` for large files.
+     *
+     * Accepts any sync or async iterable of string / `Uint8Array` chunks (Node
+     * read streams, `Response.body`, arrays of lines, …); lines may span chunks.
+     *
+     * ```js
+     * await worker.importNDJSONStream(fs.createReadStream("bug-1234.ndjson"));
+     * ```
+     *
+     * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} source
+     * @param {Object} [opts] Same as `importNDJSON()`.
+     * @returns {Promise<{ imported: number, skipped: number, errors: Array<{ line: number, message: string }> }>}
+     */
+    async importNDJSONStream(source, opts = {}) {
+	const state = this._importState(opts);
+	const decoder = new TextDecoder();
+	let buf = "";
+	let lineNo = 0;
+
+	for await (const chunk of source) {
+            buf += (typeof chunk === "string") ? chunk : decoder.decode(chunk, { stream: true });
+
+            let start = 0;
+            let nl;
+            while ((nl = buf.indexOf("\n", start)) !== -1) {
+		this._importLine(buf.slice(start, nl), ++lineNo, state);
+		start = nl + 1;
+            }
+            buf = buf.slice(start);
 	}
 
-	return out;
+	buf += decoder.decode();
+	if (buf) this._importLine(buf, ++lineNo, state);
+
+	return state.result;
     }
     
+    /**
+     * Register a listener for stored records.
+     *
+     * Listeners are called synchronously after a record is stored, right after
+     * `onEvent` (which behaves as the first subscriber), with the same
+     * signature: `(record, worker, workspace)`.
+     *
+     * - `opts.filter` uses `get()` filter semantics (paging options such as `limit` are ignored).
+     * - Each listener is isolated: a throwing listener never affects logging
+     *   or other listeners.
+     * - The same function may be subscribed more than once (separate handles).
+     *
+     * @param {Function} fn Listener `(record, worker, workspace) => void`.
+     * @param {Object} [opts]
+     * @param {Object} [opts.filter] Optional `get()`-style filter.
+     * @returns {Function} Unsubscribe handle (idempotent).
+     * @throws {Error} If `fn` is not a function.
+     */
+    subscribe(fn, opts = {}) {
+	if (typeof fn !== "function") {
+            throw new Error("[log] Worker.subscribe expects a function");
+	}
+
+	const o = (opts && typeof opts === "object") ? opts : {};
+	const entry = {
+            fn,
+            test: (o.filter && typeof o.filter === "object") ? compileFilter(o.filter) : null
+	};
+	this._listeners.add(entry);
+
+	return () => {
+            this._listeners.delete(entry);
+	};
+    }
+
+    /**
+     * Create an incremental reader over this Worker.
+     *
+     * The cursor remembers the last `header.seq` it handed out; each
+     * `cursor.read(filter)` returns only records stored after that point and
+     * reports how many of them were evicted before they could be read.
+     *
+     * @param {Object} [opts]
+     * @param {boolean} [opts.fromNow=false]
+     *        When true, records already stored are treated as seen.
+     * @param {number} [opts.afterSeq]
+     *        Explicit starting point (exclusive). Overrides `fromNow`.
+     * @returns {Cursor}
+     */
+    cursor(opts = {}) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+
+	let start = 0;
+	if (Number.isFinite(o.afterSeq)) start = o.afterSeq;
+	else if (o.fromNow === true) start = this._seq;
+
+	return new Cursor(this, start);
+    }
+
+    /**
+     * Create a child logger bound to this Worker.
+     *
+     * ```js
+     * const req = worker.child({ trace: { id }, event: "http", fields: { route } });
+     * req.info({ status: 200 }, { event: "done" }); // event "http.done", body { route, status }
+     * ```
+     *
+     * The child shares this Worker's storage, hooks and listeners; nothing is
+     * copied. See `Child` for merge rules.
+     *
+     * @param {Object} [context]
+     * @param {any} [context.trace] Default `header.trace`.
+     * @param {string} [context.event] Event prefix (joined with ".").
+     * @param {Object} [context.fields] Default body fields.
+     * @returns {Child}
+     * @throws {Error} On invalid context / fields.
+     */
+    child(context = {}) {
+	return new Child(this, context);
+    }
+
+    /**
+     * Live-tail stored records as an async iterator.
+     *
+     * ```js
+     * for await (const rec of worker.tail({ filter: { level: "error" } })) {
+     *     if (rec.header.event === "db.down") break;
+     * }
+     * ```
+     *
+     * See `Tail` for queueing/overflow semantics. Breaking out of the loop (or
+     * calling `return()`) unsubscribes.
+     *
+     * @param {Object} [opts]
+     * @param {Object} [opts.filter] `get()`-style filter.
+     * @param {boolean|number} [opts.replay=false] Replay stored records first (`true` or last N).
+     * @param {number} [opts.maxQueue=1000] Bounded queue size for undelivered records.
+     * @param {"drop-oldest"|"drop-newest"} [opts.overflow="drop-oldest"] Overflow policy.
+     * @param {AbortSignal} [opts.signal] Optional abort signal.
+     * @returns {Tail}
+     */
+    tail(opts = {}) {
+	return new Tail(this, opts);
+    }
+
     /**
      * Clear all stored records for this bucket (dump the log).
      *
+     * Cleared records are reported to `onEvict` with reason `"clear"`.
+     *
      * Resets:
      * - internal storage
-     * - ring cursor
+     * - estimated byte total
      * - accepted record count
      *
-     * Does NOT reset `_lastAt`.
+     * Does NOT reset `_lastAt` or the `header.seq` counter (sequence numbers
+     * stay monotonic across clears).
+     *
      * `_lastAt` is intentionally preserved for async / upload workflows where
      * consumers may need to know the last time this interface was used,
      * regardless of resets.
@@ -358,35 +979,105 @@ export default class Worker {
      * @returns {void}
      */
     clear() {
-	this._events.length = 0;
-	this._cursor = 0;
+	this._endRun();
+	const dropped = this._list();
+	for (const ring of this._tiers.values()) ring.clear();
+	this._size = 0;
 	this._count = 0;
+	this._bytes = 0;
+	this._sizes = new WeakMap();
+	for (const idx of this._indexes.values()) idx.clear();
+
+	this._dispatchOnEvict(dropped, "clear");
 
 	// Intentionally NOT reset — see JSDoc for rationale (async / upload flow control)
 	// this._lastAt = 0;
     }
     
     /**
-     * Return a snapshot of bucket state.
+     * Return a read-only snapshot of bucket state and lifetime counters.
+     *
+     * When `max` is a per-level map, `tiers` reports each tier's
+     * `{ max, size, overwritten }`; otherwise `tiers` is null.
+     *
+     * Counters:
+     * - `count`       : records accepted since the last `clear()` (legacy)
+     * - `emitted`     : `emit()` calls, including ones dropped while disabled
+     * - `stored`      : records stored
+     * - `dropped`     : records rejected because the Worker was disabled
+     * - `deduped`     : repeats folded into a previous record (`dedupe`)
+     * - `overwritten` : records lost to ring overwrite (same as `evicted.overwrite`)
+     * - `evicted`     : records removed from storage, by reason
+     * - `levels`      : stored records per `header.level`
+     * - `sampled`     : sampling decisions (`kept`, `exempt`, and rejections by reason)
+     * - `redacted`    : records changed by `redact`, values masked, keys dropped
+     * - `errors`      : swallowed hook/printer/redaction errors per kind, with the last one
+     * - `lastAt`      : `header.at` of the last record (0 before the first)
+     *
+     * `emitted`..`errors` survive `clear()` and are reset by `resetStats()`.
      *
      * @returns {{
      *   name: string,
      *   enabled: boolean,
-     *   max: number,
+     *   max: number|Object<string, number>,
+     *   maxBytes: number,
+     *   maxAge: number,
+     *   sampling: Object|null,
      *   size: number,
+     *   bytes: number|null,
      *   count: number,
-     *   ring: boolean
+     *   seq: number,
+     *   emitted: number,
+     *   stored: number,
+     *   dropped: number,
+     *   deduped: number,
+     *   overwritten: number,
+     *   evicted: {overwrite: number, truncate: number, maxBytes: number, maxAge: number, clear: number},
+     *   levels: Object<string, number>,
+     *   sampled: {kept: number, exempt: number, nth: number, rateLimit: number, probability: number},
+     *   redacted: {records: number, masked: number, dropped: number},
+     *   errors: Object<"onEvent"|"listener"|"onEvict"|"print"|"redact",
+     *                  {count: number, last: {at: number|null, name: string, message: string}|null}>,
+     *   lastAt: number,
+     *   indexes: string[],
+     *   ring: boolean,
+     *   tiers: Object<string, {max: number, size: number, overwritten: number}>|null
      * }}
+     *   `bytes` is the current estimated total when a byte budget is set, otherwise null.
      */
     stats() {
-	return {
+	this._expire();
+
+	return Object.freeze({
 	    name: this.name,
 	    enabled: this.enabled,
 	    max: this.max,
-	    size: this._events.length,
+	    maxBytes: this.maxBytes,
+	    maxAge: this.maxAge,
+	    sampling: this.sampling,
+	    size: this._size,
+	    bytes: this.maxBytes > 0 ? this._bytes : null,
 	    count: this._count,
-	    ring: this.max > 0,
-	};
+	    seq: this._seq,
+	    ...this._counterStats(),
+	    indexes: [...this._indexes.keys()],
+	    ring: [...this._tiers.values()].some((r) => r.capacity > 0),
+	    tiers: this._tierStats(),
+	});
+    }
+
+    /**
+     * Reset lifetime counters (`emitted`, `stored`, `dropped`, `overwritten`,
+     * `evicted`, `levels`, `errors`, per-tier `overwritten`).
+     *
+     * Independent of `clear()`: stored records, `count`, `seq` and `lastAt`
+     * are left alone.
+     *
+     * @returns {void}
+     */
+    resetStats() {
+	this._counters = this._newCounters();
+	for (const ring of this._tiers.values()) ring.overwritten = 0;
     }
 
     /**
@@ -395,8 +1086,18 @@ export default class Worker {
      * Intended keys (all optional):
      * - `enabled`   : boolean
      * - `max`       : number|string|falsy (see setLogMax)
+     * - `maxBytes`  : number|string|falsy (see setMaxBytes)
+     * - `maxAge`    : number|string|falsy (see setMaxAge)
+     * - `sizeOf`    : function or lib-resolvable reference (falsy restores the default)
+     * - `indexes`   : string[] (see setIndexes)
      * - `console`   : number|string|boolean|falsy (see setConsoleLevel)
+     * - `sampling`  : object|falsy (see setSampling)
+     * - `redact`    : boolean|object|falsy (see setRedact)
+     * - `reduce`    : object|falsy (see setReduce)
+     * - `errors`    : boolean|object|null (see setErrors)
+     * - `dedupe`    : boolean|object|falsy (see setDedupe)
      * - `onEvent`   : function or lib-resolvable reference
+     * - `onEvict`   : function or lib-resolvable reference
      * - `onPrint`   : function or lib-resolvable reference
      * - `clock`     : function
      * - `workspace` : any
@@ -420,18 +1121,55 @@ export default class Worker {
             this.enabled = !!patch.enabled;
 	}
 
+	if ("sizeOf" in patch) {
+            this.sizeOf = utils._getFunction(patch.sizeOf, "sizeOf") || utils.estimateSize;
+            if (this.maxBytes > 0) this._measureAll();
+	}
+
 	if ("max" in patch) {
             this.setLogMax(patch.max);
 	}
 
+	if ("maxBytes" in patch) {
+            this.setMaxBytes(patch.maxBytes);
+	}
+
 	if ("console" in patch) {
             this.setConsoleLevel(patch.console);
 	}
 
+	if ("sampling" in patch) {
+            this.setSampling(patch.sampling);
+	}
+
+	if ("redact" in patch) {
+            this.setRedact(patch.redact);
+	}
+
+	if ("reduce" in patch) {
+            this.setReduce(patch.reduce);
+	}
+
+	if ("errors" in patch) {
+            this.setErrors(patch.errors);
+	}
+
+	if ("dedupe" in patch) {
+            this.setDedupe(patch.dedupe);
+	}
+
+	if ("indexes" in patch) {
+            this.setIndexes(patch.indexes);
+	}
+
 	if ("onEvent" in patch) {
             this.onEvent = utils._getFunction(patch.onEvent, "onEvent");
 	}
 
+	if ("onEvict" in patch) {
+            this.onEvict = utils._getFunction(patch.onEvict, "onEvict");
+	}
+
 	if ("onPrint" in patch) {
             this.onPrint = utils._getFunction(patch.onPrint, "onPrint");
 	}
@@ -440,6 +1178,11 @@ export default class Worker {
             this.clock = utils._getClock(patch.clock);
 	}
 
+	// after clock, so the window is evaluated against the new time source
+	if ("maxAge" in patch) {
+            this.setMaxAge(patch.maxAge);
+	}
+
 	if ("workspace" in patch) {
 	    this.userWorkspace = this._resolveWorkspace(patch.workspace);
 	}
@@ -462,49 +1205,780 @@ export default class Worker {
     // ---------------------------------------------------------------------------
 
     /**
-     * Store a record in unlimited storage mode.
+     * Store a record into its tier (unlimited or ring, depending on `max`).
+     *
+     * In ring mode a full buffer overwrites its oldest slot; the overwritten
+     * record is returned so the caller can release + report it via `_evict()`
+     * (the caller picks the eviction reason).
+     *
      * @private
      * @param {Object} record
-     * @returns {Object} record
+     * @param {boolean} [fresh=true] False when re-filing an already stored record.
+     * @returns {Object|undefined} The overwritten record, if any.
      */
-    _pushUnlimited(record) {
-        this._events.push(record);
-        return record;
+    _storeRecord(record, fresh = true) {
+        if (fresh) {
+            if (this.maxBytes > 0) this._measure(record);
+            this._indexAdd(record);
+        }
+
+        const ring = this._tierFor(record.header?.level);
+        const overwritten = ring.push(record);
+        if (!overwritten) this._size++;
+
+        return overwritten;
     }
 
     /**
-     * Store a record in ring buffer mode.
+     * Resolve configured tier capacities as `Map<tierKey, capacity>`.
      *
-     * Invariant:
-     * - `this.max` must be a positive integer (> 0) when this method is called.
+     * @private
+     * @returns {Map<string, number>}
+     */
+    _tierCaps() {
+        if (typeof this.max === "number") return new Map([["default", this.max]]);
+        return new Map(Object.entries(this.max));
+    }
+
+    /**
+     * (Re)create empty tier rings from the current `max`.
+     *
+     * @private
+     * @returns {void}
+     */
+    _buildTiers() {
+        this._tiers = new Map();
+        for (const [key, cap] of this._tierCaps()) {
+            this._tiers.set(key, new Ring(cap));
+        }
+        this._size = 0;
+    }
+
+    /**
+     * Pick the tier ring for a record level (falls back to `default`).
+     *
+     * @private
+     * @param {any} level
+     * @returns {Ring}
+     */
+    _tierFor(level) {
+        if (this._tiers.size > 1 && level != null) {
+            const ring = this._tiers.get(String(level).toLowerCase());
+            if (ring) return ring;
+        }
+        return this._tiers.get("default");
+    }
+
+    /**
+     * Count stored records across tiers.
+     * @private
+     * @returns {number}
+     */
+    _countStored() {
+        let n = 0;
+        for (const ring of this._tiers.values()) n += ring.length;
+        return n;
+    }
+
+    /**
+     * Count stored records with `header.seq > seq` (binary search per tier).
+     *
+     * @private
+     * @param {number} seq
+     * @returns {number}
+     */
+    _countAfterSeq(seq) {
+        let n = 0;
+        for (const ring of this._tiers.values()) {
+            // seq is increasing within a ring: find first index with seq > `seq`
+            let lo = 0;
+            let hi = ring.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >>> 1;
+                if ((ring.at(mid)?.header?.seq ?? 0) > seq) hi = mid;
+                else lo = mid + 1;
+            }
+            n += ring.length - lo;
+        }
+        return n;
+    }
+
+    /**
+     * Validate and normalize `get()` / `page()` read options.
+     *
+     * @private
+     * @param {Object} filter
+     * @returns {{ limit: number|null, offset: number, order: "asc"|"desc",
+     *             anchor: number|null, paged: boolean }}
+     * @throws {Error} On invalid `limit`, `offset`, `order` or `pageToken`.
+     */
+    _readOptions(filter) {
+        const nonNegInt = (key) => {
+            const n = Number(filter[key]);
+            if (!Number.isInteger(n) || n < 0) {
+                throw new Error(`[log] invalid ${key}: ${filter[key]}`);
+            }
+            return n;
+        };
+
+        const limit  = ("limit" in filter) ? nonNegInt("limit") : null;
+        const offset = (filter.offset != null) ? nonNegInt("offset") : 0;
+
+        let order = null;
+        if (filter.order != null) {
+            if (filter.order !== "asc" && filter.order !== "desc") {
+                throw new Error(`[log] invalid order: ${filter.order}`);
+            }
+            order = filter.order;
+        }
+
+        let anchor = null;
+        if (filter.pageToken != null) {
+            const t = decodePageToken(filter.pageToken);
+            if (order && order !== t.order) {
+                throw new Error(`[log] pageToken was issued for order "${t.order}"`);
+            }
+            order = t.order;
+            anchor = t.seq;
+        }
+
+        // reduced copies on read: `true` = this worker's policy, object = ad hoc spec
+        const reduce = (filter.reduce === true) ? this.reduce : utils._normalizeReduce(filter.reduce);
+
+        return {
+            limit,
+            offset,
+            order: order || "asc",
+            anchor,
+            reduce,
+            paged: order != null || offset > 0 || anchor != null
+        };
+    }
+
+    /**
+     * Reduced read copy of a stored record (the stored record is left intact).
+     *
+     * @private
+     * @param {Object} rec
+     * @param {Object} spec Normalized reduce spec.
+     * @returns {Object}
+     */
+    _reduceRecord(rec, spec) {
+	const body = utils.reducePayload(rec.body, spec);
+	return (body === rec.body) ? rec : { header: rec.header, body };
+    }
+
+    /**
+     * Storage state for `Manager.snapshot()`: records (oldest first), counters,
+     * sequence/count/lastAt and per-tier overwrite counts. Not a copy.
+     *
+     * @private
+     * @returns {{ records: Object[], counters: Object, seq: number, count: number,
+     *             lastAt: number, tiers: Object<string, number> }}
+     */
+    _snapshot() {
+	const tiers = {};
+	for (const [key, ring] of this._tiers) tiers[key] = ring.overwritten;
+
+	return {
+            records: this._list(),
+            counters: this._counters,
+            seq: this._seq,
+            count: this._count,
+            lastAt: this._lastAt,
+            tiers
+	};
+    }
+
+    /**
+     * Load storage state captured by `_snapshot()` into this (empty) Worker.
+     *
+     * Records keep their `header.seq`; hooks and listeners are not called.
+     * Counters missing from `state` (older snapshots) start at zero.
+     *
+     * @private
+     * @param {Object} state
+     * @returns {void}
+     */
+    _restore(state) {
+	const s = (state && typeof state === "object") ? state : {};
+
+	for (const rec of Array.isArray(s.records) ? s.records : []) {
+            if (!rec || typeof rec !== "object" || !rec.header) continue;
+            const lost = this._storeRecord(rec);
+            if (lost) this._forget(lost);
+            if (rec.header.seq > this._seq) this._seq = rec.header.seq;
+            const span = rec.header.span;
+            if (span && Number.isInteger(span.id) && span.id > this._spanSeq) this._spanSeq = span.id;
+	}
+
+	if (Number.isInteger(s.seq) && s.seq > this._seq) this._seq = s.seq;
+	if (Number.isFinite(s.count)) this._count = s.count;
+	if (Number.isFinite(s.lastAt)) this._lastAt = s.lastAt;
+
+	const c = this._newCounters();
+	const saved = (s.counters && typeof s.counters === "object") ? s.counters : {};
+	for (const [k, v] of Object.entries(c)) {
+            const from = saved[k];
+            if (typeof v === "number") {
+		if (Number.isFinite(from)) c[k] = from;
+            } else if (from && typeof from === "object") {
+		Object.assign(v, from);
+            }
+	}
+	this._counters = c;
+
+	// overwrites while re-filing are not real ones: tiers missing from `state` start at 0
+	const tiers = (s.tiers && typeof s.tiers === "object") ? s.tiers : {};
+	for (const [key, ring] of this._tiers) {
+            const n = Object.prototype.hasOwnProperty.call(tiers, key) ? tiers[key] : 0;
+            ring.overwritten = Number.isFinite(n) ? n : 0;
+	}
+    }
+
+    /**
+     * Records for `export()` / `exportNDJSON()`: `get()` with the `reduce` policy
+     * applied when it is `at: "export"` (unless the filter sets `reduce`).
+     *
+     * @private
+     * @param {Object} [filter]
+     * @returns {Object[]}
+     */
+    _exportRecords(filter) {
+	const f = Object.assign({}, (filter && typeof filter === "object") ? filter : {});
+	if (!("reduce" in f) && this.reduce && this.reduce.at === "export") f.reduce = true;
+	return this.get(f);
+    }
+
+    /**
+     * Fresh per-call state for `importNDJSON()` / `importNDJSONStream()`.
+     *
+     * @private
+     * @param {Object} [opts]
+     * @returns {Object}
+     */
+    _importState(opts) {
+	const o = (opts && typeof opts === "object") ? opts : {};
+	return {
+            preserve: o.preserveHeaders === true,
+            fire: o.fireEvents === true,
+            prevAt: null,
+            result: { imported: 0, skipped: 0, errors: [] }
+	};
+    }
+
+    /**
+     * Parse, rebuild and store one NDJSON line (see `importNDJSON()`).
+     *
+     * @private
+     * @param {string} line
+     * @param {number} lineNo 1-based, for error reports.
+     * @param {Object} state From `_importState()`.
+     * @returns {void}
+     */
+    _importLine(line, lineNo, state) {
+	const text = line.endsWith("\r") ? line.slice(0, -1) : line;
+	if (!text.trim()) return;
+
+	const r = state.result;
+	let rec;
+	try {
+            rec = utils.fromJSONSafe(JSON.parse(text));
+            if (!rec || typeof rec !== "object" || !rec.header || typeof rec.header !== "object") {
+		throw new Error("not a { header, body } record");
+            }
+	} catch (err) {
+            r.skipped++;
+            r.errors.push({ line: lineNo, message: String(err && err.message || err) });
+            return;
+	}
+
+	const h = rec.header;
+	const at = Number.isFinite(h.at) ? h.at : this.clock();
+
+	let header;
+	if (state.preserve) {
+            header = Object.assign({}, h, { at });
+            delete header.seq;
+            delete header.mseq;
+	} else {
+            header = { at };
+            for (const k of ["source", "level", "event", "trace"]) {
+		if (h[k] != null) header[k] = h[k];
+            }
+            if (state.prevAt != null) {
+		header.lastAt = state.prevAt;
+		header.delta  = at - state.prevAt;
+            }
+	}
+	state.prevAt = at;
+
+	// the previous stored record is no longer the one a repeat would fold into
+	this._endRun();
+
+	const stored = this._push({ header, body: (rec.body !== undefined) ? rec.body : {} }, state.fire);
+	if (stored) r.imported++;
+	else r.skipped++;
+    }
+
+    /**
+     * Select matching records for `get()` / `page()`.
+     *
+     * Legacy mode (no paging options): every match in chronological order,
+     * trimmed to the newest `limit`.
+     *
+     * Paged mode: walks candidates in `order` starting after `anchor`, skips
+     * `offset` matches, and stops after `limit` matches. `more` reports whether
+     * another match exists past the page.
+     *
+     * @private
+     * @param {Object} filter
+     * @param {Object} opts From `_readOptions()`.
+     * @returns {{ records: Object[], more: boolean }}
+     */
+    _select(filter, opts) {
+        const test = compileFilter(filter);
+
+        // Indexed lookup when possible; otherwise rings are read back (and tiers merged)
+        // in chronological order regardless of overwrite position.
+        const list = this._indexCandidates(filter) || this._list();
+
+        if (!opts.paged) {
+            let out = list.filter(test);
+            if (opts.limit != null && opts.limit > 0 && out.length > opts.limit) {
+                out = out.slice(out.length - opts.limit);
+            }
+            return { records: out, more: false };
+        }
+
+        // first position with seq > `seq` (list is sorted by header.seq)
+        const after = (seq) => {
+            let lo = 0;
+            let hi = list.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >>> 1;
+                if ((list[mid]?.header?.seq ?? 0) > seq) hi = mid;
+                else lo = mid + 1;
+            }
+            return lo;
+        };
+
+        const desc = opts.order === "desc";
+        let i;
+        if (opts.anchor == null) i = desc ? list.length - 1 : 0;
+        else i = desc ? after(opts.anchor - 1) - 1 : after(opts.anchor);
+        const step = desc ? -1 : 1;
+
+        const out = [];
+        let skip = opts.offset;
+        let more = false;
+
+        for (; i >= 0 && i < list.length; i += step) {
+            const rec = list[i];
+            if (!test(rec)) continue;
+            if (skip > 0) {
+                skip--;
+                continue;
+            }
+            if (opts.limit != null && out.length >= opts.limit) {
+                more = true;
+                break;
+            }
+            out.push(rec);
+        }
+
+        return { records: out, more };
+    }
+
+    /**
+     * Visit stored records matching a `get()`-style filter, without copying storage.
+     *
+     * Order is chronological within a tier but not merged across tiers; use
+     * `get()` when order matters. Paging options are ignored.
+     *
+     * @private
+     * @param {Object} [filter]
+     * @param {(record: Object) => void} fn
+     * @returns {void}
+     */
+    _scan(filter, fn) {
+        const f = (filter && typeof filter === "object") ? filter : {};
+
+        this._expire();
+        const test = compileFilter(f);
+
+        const candidates = this._indexCandidates(f);
+        if (candidates) {
+            for (const rec of candidates) if (test(rec)) fn(rec);
+            return;
+        }
+
+        for (const ring of this._tiers.values()) {
+            for (let i = 0; i < ring.length; i++) {
+                const rec = ring.at(i);
+                if (test(rec)) fn(rec);
+            }
+        }
+    }
+
+    /**
+     * All stored records in chronological (insertion) order, merged across tiers.
+     *
+     * @private
+     * @returns {Object[]}
+     */
+    _list() {
+        if (this._tiers.size === 1) return this._tiers.get("default").toArray();
+
+        const lists = [...this._tiers.values()].map((r) => r.toArray()).filter((l) => l.length);
+        if (lists.length === 1) return lists[0];
+
+        // k-way merge by header.seq (k = number of tiers, small)
+        const pos = lists.map(() => 0);
+        const out = new Array(this._size);
+        for (let n = 0; n < out.length; n++) {
+            let best = -1;
+            let bestOrd = Infinity;
+            for (let i = 0; i < lists.length; i++) {
+                if (pos[i] >= lists[i].length) continue;
+                const ord = lists[i][pos[i]]?.header?.seq ?? -1;
+                if (ord < bestOrd) {
+                    bestOrd = ord;
+                    best = i;
+                }
+            }
+            out[n] = lists[best][pos[best]++];
+        }
+        return out;
+    }
+
+    /**
+     * Find the tier currently holding the oldest record (by `header.seq`).
+     *
+     * @private
+     * @returns {Ring|null}
+     */
+    _oldestTier() {
+        let best = null;
+        let bestOrd = Infinity;
+        for (const ring of this._tiers.values()) {
+            if (ring.length === 0) continue;
+            const ord = ring.first()?.header?.seq ?? -1;
+            if (ord < bestOrd) {
+                bestOrd = ord;
+                best = ring;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Remove the oldest record of a tier and release it from accounting.
+     *
+     * @private
+     * @param {Ring} ring
+     * @returns {Object|undefined} The removed record.
+     */
+    _shiftTier(ring) {
+        const rec = ring.shift();
+        if (rec !== undefined) {
+            this._size--;
+            this._forget(rec);
+        }
+        return rec;
+    }
+
+    /**
+     * Frozen copy of the lifetime counters for `stats()`.
+     *
+     * @private
+     * @returns {Object}
+     */
+    _counterStats() {
+        const c = this._counters;
+        const errors = {};
+        for (const [kind, e] of Object.entries(c.errors)) {
+            errors[kind] = Object.freeze({ count: e.count, last: e.last ? Object.freeze({ ...e.last }) : null });
+        }
+
+        return {
+            emitted: c.emitted,
+            stored: c.stored,
+            dropped: c.dropped,
+            deduped: c.deduped,
+            overwritten: c.evicted.overwrite,
+            evicted: Object.freeze({ ...c.evicted }),
+            levels: Object.freeze({ ...c.levels }),
+            sampled: Object.freeze({ ...c.sampled }),
+            redacted: Object.freeze({ ...c.redacted }),
+            errors: Object.freeze(errors),
+            lastAt: this._lastAt,
+        };
+    }
+
+    /**
+     * Per-tier stats snapshot (null when `max` is a single limit).
+     *
+     * @private
+     * @returns {Object|null}
+     */
+    _tierStats() {
+        if (typeof this.max === "number") return null;
+
+        const out = {};
+        for (const [key, ring] of this._tiers) {
+            out[key] = {
+                max: ring.capacity,
+                size: ring.length,
+                overwritten: ring.overwritten,
+            };
+        }
+        return out;
+    }
+
+    /**
+     * Evict oldest records while the estimated byte total exceeds `maxBytes`.
+     *
+     * The budget is bucket-wide: the globally oldest record is evicted first,
+     * whichever tier holds it. The newest record is always retained, even if it
+     * alone exceeds the budget.
+     *
+     * @private
+     * @returns {void}
+     */
+    _enforceBytes() {
+        if (this.maxBytes === 0) return;
+
+        const dropped = [];
+        while (this._bytes > this.maxBytes && this._size > 1) {
+            dropped.push(this._shiftTier(this._oldestTier()));
+        }
+        this._dispatchOnEvict(dropped, "maxBytes");
+    }
+
+    /**
+     * Estimate and account for a record's size (best-effort; estimator errors count as 0).
+     *
+     * @private
+     * @param {Object} record
+     * @returns {void}
+     */
+    _measure(record) {
+        let n = 0;
+        try {
+            n = Number(this.sizeOf(record));
+        } catch {
+            n = 0;
+        }
+        if (!Number.isFinite(n) || n < 0) n = 0;
+
+        this._sizes.set(record, n);
+        this._bytes += n;
+    }
+
+    /**
+     * Re-measure every stored record (used when the budget or estimator changes).
+     *
+     * @private
+     * @returns {void}
+     */
+    _measureAll() {
+        this._bytes = 0;
+        this._sizes = new WeakMap();
+        for (const ring of this._tiers.values()) {
+            for (const rec of ring.toArray()) this._measure(rec);
+        }
+    }
+
+    /**
+     * Oldest `header.at` still inside the `maxAge` window.
+     *
+     * @private
+     * @returns {number|null} `clock() - maxAge`, or null without `maxAge` or on
+     *          clock errors / non-finite clock values.
+     */
+    _ageCutoff() {
+        if (this.maxAge === 0) return null;
+
+        let now;
+        try {
+            now = this.clock();
+        } catch {
+            return null;
+        }
+        return Number.isFinite(now) ? now - this.maxAge : null;
+    }
+
+    /**
+     * Evict records whose `header.at` is older than `clock() - maxAge`.
+     *
+     * Scans each tier from its oldest record and stops at the first one still
+     * inside the window. Clock errors are swallowed (no eviction happens).
+     *
+     * @private
+     * @returns {void}
+     */
+    _expire() {
+        if (this._size === 0) return;
+
+        const cutoff = this._ageCutoff();
+        if (cutoff == null) return;
+
+        const dropped = [];
+        for (const ring of this._tiers.values()) {
+            while (ring.length > 0) {
+                const at = ring.first()?.header?.at;
+                if (!Number.isFinite(at) || at >= cutoff) break;
+                dropped.push(this._shiftTier(ring));
+            }
+        }
+        this._dispatchOnEvict(dropped, "maxAge");
+    }
+
+    /**
+     * Release already-removed records from accounting and report them to `onEvict`.
+     *
+     * @private
+     * @param {Object[]} records Records that left storage (oldest first).
+     * @param {string} reason
+     * @returns {void}
+     */
+    _evict(records, reason) {
+        if (!records.length) return;
+        for (const rec of records) this._forget(rec);
+        this._dispatchOnEvict(records, reason);
+    }
+
+    /**
+     * Release a record that left storage from byte accounting.
+     *
+     * @private
+     * @param {Object} record
+     * @returns {void}
+     */
+    _forget(record) {
+        if (!record) return;
+
+        if (this._run && this._run.record === record) this._endRun();
+        this._indexRemove(record);
+
+        if (this.maxBytes === 0) return;
+
+        const n = this._sizes.get(record);
+        if (n != null) {
+            this._bytes -= n;
+            this._sizes.delete(record);
+        }
+    }
+
+    /**
+     * Add a stored record to every secondary index.
+     *
+     * Array values are indexed under the array itself and under each element.
+     * The indexed values are remembered so removal does not depend on the
+     * record being unchanged.
      *
      * @private
      * @param {Object} record
-     * @returns {Object} record
-     * @throws {Error} if ring invariant is violated
+     * @returns {void}
      */
-    _pushRing(record) {
-        // invariant: ring mode implies max is a positive integer
-        if (this.max <= 0) {
-            throw new Error(`[log] Worker._pushRing invariant violation: max must be > 0 (got ${this.max})`);
+    _indexAdd(record) {
+        if (this._indexes.size === 0) return;
+
+        const seen = new Map();
+        for (const [key, idx] of this._indexes) {
+            const value = readKey(record, key);
+            const values = Array.isArray(value) ? [value, ...new Set(value)] : [value];
+
+            for (const v of values) {
+                let set = idx.get(v);
+                if (!set) idx.set(v, set = new Set());
+                set.add(record);
+            }
+            seen.set(key, values);
         }
+        this._indexed.set(record, seen);
+    }
+
+    /**
+     * Remove a record that left storage from every secondary index, under the
+     * values it was indexed with.
+     *
+     * @private
+     * @param {Object} record
+     * @returns {void}
+     */
+    _indexRemove(record) {
+        if (this._indexes.size === 0) return;
+
+        const seen = this._indexed.get(record);
+        if (!seen) return;
+        this._indexed.delete(record);
+
+        for (const [key, idx] of this._indexes) {
+            for (const v of seen.get(key) || []) {
+                const set = idx.get(v);
+                if (set && set.delete(record) && set.size === 0) idx.delete(v);
+            }
+        }
+    }
+
+    /**
+     * Resolve candidate records for a filter from secondary indexes.
+     *
+     * Usable conditions (top-level filter keys only): a scalar value, `{ $eq }`
+     * or `{ $in: [...] }` on an indexed key. When several apply, the smallest
+     * candidate set wins. Candidates are returned in chronological order and
+     * must still be checked against the full filter (element entries of array
+     * values make them a superset for scalar / `$eq` lookups).
+     *
+     * @private
+     * @param {Object} filter
+     * @returns {Object[]|null} Candidates, or null when no index applies.
+     */
+    _indexCandidates(filter) {
+        if (this._indexes.size === 0) return null;
+
+        let best = null;
+
+        for (const [key, idx] of this._indexes) {
+            if (!Object.prototype.hasOwnProperty.call(filter, key)) continue;
+
+            const cond = filter[key];
+            let values;
+
+            if (isOperatorObject(cond)) {
+                if ("$eq" in cond) values = [cond.$eq];
+                else if (Array.isArray(cond.$in)) values = cond.$in;
+                else continue;
+            } else if (cond === undefined || typeof cond === "function" || (cond && typeof cond === "object")) {
+                continue;
+            } else {
+                values = [cond];
+            }
 
-        if (this._events.length < this.max) {
-            this._events.push(record);
-            this._cursor = this._events.length % this.max;
-            return record;
+            // a record with an array value can sit under several $in values
+            const hits = new Set();
+            for (const v of values) {
+                const set = idx.get(v);
+                if (set) for (const rec of set) hits.add(rec);
+            }
+
+            if (!best || hits.size < best.length) best = [...hits];
         }
 
-        this._events[this._cursor] = record;
-        this._cursor = (this._cursor + 1) % this.max;
-        return record;
+        if (!best) return null;
+
+        // chronological order ($in may merge several sets)
+        return best.sort((a, b) => (a.header?.seq ?? 0) - (b.header?.seq ?? 0));
     }
 
     /**
-     * Dispatch the per-bucket `onEvent` hook (best-effort).
+     * Dispatch the per-bucket `onEvent` hook and `subscribe()` listeners (best-effort).
      *
-     * This is an observability hook invoked after a record has been accepted/stored.
-     * Hook errors are swallowed so instrumentation cannot break logging.
+     * These are observability hooks invoked after a record has been accepted/stored.
+     * `onEvent` runs first, then listeners in subscription order. Each call is
+     * isolated: errors are swallowed so instrumentation cannot break logging.
      *
      * @private
      * @param {Object} record
@@ -512,13 +1986,218 @@ export default class Worker {
      */
     _dispatchOnEvent(record) {
 	const fn = this.onEvent;
+	if (fn) {
+	    try {
+		fn(record, this, this.userWorkspace);
+	    } catch (err) {
+		// swallow
+		this._recordError("onEvent", err);
+	    }
+	}
+
+	if (this._listeners.size === 0) return;
+
+	// snapshot: listeners may unsubscribe (or subscribe) while being called
+	for (const entry of [...this._listeners]) {
+	    try {
+		if (entry.test && !entry.test(record)) continue;
+		entry.fn(record, this, this.userWorkspace);
+	    } catch (err) {
+		// swallow
+		this._recordError("listener", err);
+	    }
+	}
+    }
+
+    /**
+     * Dispatch the per-bucket `onEvict` hook (best-effort).
+     *
+     * Invoked with the batch of records that just left storage, oldest first.
+     * Empty batches are not reported. Hook errors are swallowed so
+     * instrumentation cannot break logging.
+     *
+     * @private
+     * @param {Object[]} records
+     * @param {string} reason `"overwrite" | "truncate" | "maxBytes" | "maxAge" | "clear"`
+     * @returns {void}
+     */
+    _dispatchOnEvict(records, reason) {
+	if (!records.length) return;
+
+	const evicted = this._counters.evicted;
+	evicted[reason] = (evicted[reason] || 0) + records.length;
+
+	const fn = this.onEvict;
 	if (!fn) return;
 
 	try {
-            fn(record, this, this.userWorkspace);
-	} catch {
+            fn(records, reason, this, this.userWorkspace);
+	} catch (err) {
             // swallow
+            this._recordError("onEvict", err);
+	}
+    }
+
+    /**
+     * Call the printer best-effort (errors counted, never rethrown).
+     *
+     * @private
+     * @param {Object} record
+     * @param {Object} ctx Printer context.
+     * @returns {void}
+     */
+    _print(record, ctx) {
+	const printer = this.onPrint || utils.printRecord;
+	try {
+            printer(record, ctx, this.userWorkspace);
+	} catch (err) {
+            // never allow printing to break logging
+            this._recordError("print", err);
+	}
+    }
+
+    /**
+     * Apply the redaction policy to a freshly built record's body.
+     *
+     * @private
+     * @param {Object} record
+     * @returns {void}
+     */
+    _redactBody(record) {
+	const r = this._counters.redacted;
+	try {
+            const { value, masked, dropped } = this._redactor.apply(record.body);
+            if (value === record.body) return;
+            record.body = value; // may differ without masks (cycles become "[Circular]")
+            if (masked === 0 && dropped === 0) return;
+            r.records++;
+            r.masked += masked;
+            r.dropped += dropped;
+	} catch (err) {
+            // fail closed: never store a body we could not scrub
+            record.body = { value: this.redact.mask };
+            r.records++;
+            this._recordError("redact", err);
+	}
+    }
+
+    /**
+     * Dedupe key for a record (`dedupe.key` or the serialized body).
+     *
+     * @private
+     * @param {Object} record
+     * @returns {any} undefined when the record cannot be keyed (never folds).
+     */
+    _dedupeKey(record) {
+	const fn = this.dedupe.key;
+	try {
+            return fn ? fn(record) : JSON.stringify(record.body);
+	} catch {
+            return undefined;
+	}
+    }
+
+    /**
+     * Fold `record` into the current dedupe run when it repeats the run's record:
+     * same level, same event, same key, within `dedupe.windowMs` of the last repeat.
+     *
+     * @private
+     * @param {Object} record Freshly built (not stored) record.
+     * @param {any} key
+     * @returns {Object|null} The stored record that absorbed the repeat, or null.
+     */
+    _dedupeFold(record, key) {
+	const run = this._run;
+	if (!run || key === undefined || run.key !== key) return null;
+
+	const prev = run.record.header;
+	const next = record.header;
+	if (prev.level !== next.level || prev.event !== next.event) return null;
+	if (prev.span || next.span) return null; // span records are never folded
+
+	const windowMs = this.dedupe.windowMs;
+	if (windowMs > 0 && next.at - run.lastAt > windowMs) return null;
+
+	prev.repeat = (prev.repeat || 0) + 1;
+	prev.lastAt = next.at;
+	run.lastAt = next.at;
+	run.repeats++;
+
+	// the header grew: re-account its size against the byte budget
+	if (this.maxBytes > 0) {
+            const n = this._sizes.get(run.record);
+            if (n != null) this._bytes -= n;
+            this._measure(run.record);
+            this._enforceBytes();
+	}
+
+	this._lastAt = next.at;
+	this._counters.deduped++;
+	return run.record;
+    }
+
+    /**
+     * End the current dedupe run; prints `"(repeated N times)"` through the
+     * printer (`ctx.repeated = N`) when the run's first record was printed.
+     *
+     * @private
+     * @returns {void}
+     */
+    _endRun() {
+	const run = this._run;
+	this._run = null;
+	if (!run || run.repeats === 0 || !run.ctx) return;
+
+	this._print(run.record, Object.assign({}, run.ctx, { repeated: run.repeats }));
+    }
+
+    /**
+     * Fresh lifetime counters.
+     *
+     * @private
+     * @returns {Object}
+     */
+    _newCounters() {
+	const error = () => ({ count: 0, last: null });
+	return {
+            emitted: 0,
+            stored: 0,
+            dropped: 0,
+            deduped: 0,
+            evicted: { overwrite: 0, truncate: 0, maxBytes: 0, maxAge: 0, clear: 0 },
+            levels: {},
+            sampled: { kept: 0, exempt: 0, nth: 0, rateLimit: 0, probability: 0 },
+            redacted: { records: 0, masked: 0, dropped: 0 },
+            errors: { onEvent: error(), listener: error(), onEvict: error(), print: error(), redact: error() }
+	};
+    }
+
+    /**
+     * Count a swallowed hook/printer error and remember it as the last one.
+     *
+     * Stored as a plain `{ at, name, message }` so stats stay JSON-friendly.
+     *
+     * @private
+     * @param {"onEvent"|"listener"|"onEvict"|"print"|"redact"} kind
+     * @param {any} err
+     * @returns {void}
+     */
+    _recordError(kind, err) {
+	const slot = this._counters.errors[kind];
+	slot.count++;
+
+	let at = null;
+	try {
+            at = this.clock();
+	} catch {
+            // clock failures must not mask the original error
 	}
+
+	slot.last = {
+            at,
+            name: (err && err.name) ? String(err.name) : "Error",
+            message: (err && err.message != null) ? String(err.message) : String(err)
+	};
     }
 
     // ---------------------------------------------------------------------------
@@ -532,12 +2211,18 @@ export default class Worker {
      * - Normalize payload into a `{ header, body }` record via `utils.makeRecord`
      *   - `header.level` defaults to `"log"` (or `opts.level` if provided)
      *   - `header.source` is set to this worker's name
-     *   - `header.event` / `header.trace` are included when provided
+     *   - `header.event` / `header.trace` are included when provided, or taken
+     *     from the active `context.run()` context when not
      *   - Timing metadata is included when possible:
      *     - `header.lastAt` and `header.delta` are populated when a previous timestamp exists
+     * - Normalize Error payloads into plain objects (see `setErrors`)
+     * - Apply the `redact` policy to the body (copy-on-write)
+     * - Apply the `reduce` policy to the redacted body (`at: "capture"` only)
      * - Optionally clone the record body best-effort (to reduce mutation-by-reference)
      *   - Per-call override: `opts.clone` (when present)
      *   - Otherwise falls back to worker default: `this.clone`
+     * - With `dedupe`, fold a repeat of the previous record into it (see `setDedupe`)
+     *   and return that stored record
      * - Store the record via `_push(record)` (may drop and return null)
      * - Optionally print best-effort when allowed:
      *   - Suppress printing if `opts.print === false`
@@ -550,12 +2235,28 @@ export default class Worker {
      * @param {any} data User payload (objects become `body`; primitives become `{ value }`).
      * @param {Object} [opts]
      * @param {string}  [opts.level='log'] Severity stored in `record.header.level`.
-     * @param {string}  [opts.event] Optional event name stored in `record.header.event`.
-     * @param {any}     [opts.trace] Optional trace payload stored in `record.header.trace`.
+     * @param {string}  [opts.event]
+     *        Optional event name stored in `record.header.event` (defaults to the
+     *        ambient context's `event`).
+     * @param {any}     [opts.trace]
+     *        Optional trace payload stored in `record.header.trace` (defaults to the
+     *        ambient context's `trace`).
+     * @param {number}  [opts.mseq]
+     *        Manager-wide sequence number stored in `record.header.mseq`
+     *        (set by `Manager` when forwarding; not normally passed by callers).
+     * @param {Object}  [opts.span]
+     *        Span linkage stored in `record.header.span`
+     *        (set by `Span`; not normally passed by callers).
+     * @param {number}  [opts.at]
+     *        Timestamp used for `record.header.at` instead of calling the clock
+     *        (set by `Span` so `duration` matches its records; not normally passed by callers).
      * @param {boolean} [opts.clone]
      *        When present, overrides worker default cloning behavior.
      *        If true, clones the record `body` best-effort before storage to reduce
      *        mutation-by-reference.
+     * @param {Object|false} [opts.reduce]
+     *        When present, overrides the worker `reduce` policy for this call
+     *        (`false` / null = no reduction).
      * @param {boolean} [opts.print=true]
      *        When set to `false`, suppresses console printing for this call only.
      * @param {any}     [opts.console]
@@ -564,25 +2265,70 @@ export default class Worker {
      * @returns {Object|null} The stored record, or null if dropped/disabled.
      */
     emit(data, opts = {}) {
-	if (!this.enabled) return null;
+	this._counters.emitted++;
+	if (!this.enabled) {
+            this._counters.dropped++;
+            return null;
+	}
 
 	// header-owned level (default)
 	const level = (opts && opts.level != null) ? opts.level : "log";
 
-	// Build normalized record with header/body split
+	// ambient context (context.run) fills in trace / event; explicit opts win
+	const ambient = context.current();
+	const event = (opts && opts.event != null) ? opts.event : (ambient ? ambient.event : undefined);
+	const trace = (opts && opts.trace !== undefined) ? opts.trace : (ambient ? ambient.trace : undefined);
+
+	// capture-time sampling: decide before any record is built
+	if (this._sampler) {
+            const verdict = this._sampler.decide(level, event);
+            const sampled = this._counters.sampled;
+            if (verdict && verdict !== "exempt") {
+		sampled[verdict]++;
+		return null;
+            }
+            if (verdict === "exempt") sampled.exempt++;
+            else sampled.kept++;
+	}
+
+	// Build normalized record with header/body split (cloned below, once redacted and reduced)
 	const record = utils.makeRecord(data, {
-            clock: this.clock,
+            clock: (opts && Number.isFinite(opts.at)) ? () => opts.at : this.clock,
             source: this.name,   // worker/logger name
             level,
-            event: opts.event,
-            trace: opts.trace,
+            event,
+            trace,
 	    lastAt: this._lastAt,
-	    // avoid mutation as best as possible
-	    clone:
-            opts && "clone" in opts
-		? opts.clone === true
-		: this.clone === true
+	    errors: this.errors
 	});
+	if (opts && opts.mseq != null) record.header.mseq = opts.mseq;
+	if (opts && opts.span != null) record.header.span = opts.span;
+
+	// redaction (copy-on-write; never touches the caller's object)
+	if (this._redactor) this._redactBody(record);
+
+	// shape reduction after redaction, so truncation never cuts a secret mid-match;
+	// wrapped primitives / arrays are reduced as the payload itself
+	const reduce = (opts && "reduce" in opts) ? utils._normalizeReduce(opts.reduce) : this.reduce;
+	if (reduce && reduce.at === "capture") {
+            const wrapped = !(data && typeof data === "object" && !Array.isArray(data));
+            if (wrapped) record.body.value = utils.reducePayload(record.body.value, reduce);
+            else record.body = utils.reducePayload(record.body, reduce);
+	}
+
+	// avoid mutation as best as possible (per-call override -> worker default)
+	const clone = (opts && "clone" in opts) ? opts.clone === true : this.clone === true;
+	if (clone) record.body = utils.cloneBestEffort(record.body);
+
+	// dedupe: fold a repeat into the previous stored record instead of storing it
+	let dedupeKey;
+	if (this.dedupe) {
+            dedupeKey = this._dedupeKey(record);
+            const folded = this._dedupeFold(record, dedupeKey);
+            if (folded) return folded;
+            this._endRun();
+	}
+
 	this._lastAt = record.header.at;
 	// Store (_push fires per-bucket hook via _dispatchOnEvent)
 	const stored = this._push(record);
@@ -591,21 +2337,19 @@ export default class Worker {
 	// Console printing (explicit override -> worker default)
 	const doPrint = (opts && opts.print === false) ? false : true;
 	const consolePolicy = (opts && (opts.console !== undefined)) ? opts.console : this.console;
+	let ctx = null;
 	if (doPrint && utils.shouldPrint(stored, { console: consolePolicy })) {
-	    const printer = this.onPrint || utils.printRecord;
-
-	    const ctx = {
+	    ctx = {
 		levelNum: utils.levelToConsoleLevel(stored.header.level),
 		policy: utils._normalizeConsoleLevel(consolePolicy),
 		CONSOLE_LEVEL
 	    };
-
-	    try {
-		printer(stored, ctx, this.userWorkspace);
-	    } catch {
-		// never allow printing to break logging
-	    }
+	    this._print(stored, ctx);
 	}
+
+	// start a new dedupe run (remember how it printed for the end-of-run notice)
+	if (this.dedupe) this._run = { record: stored, key: dedupeKey, repeats: 0, lastAt: stored.header.at, ctx };
+
 	return stored;
     }
 
@@ -661,6 +2405,186 @@ export default class Worker {
 	return this.emit(data, Object.assign({}, o, { level: "error" }));
     }
 
+    // ---------------------------------------------------------------------------
+    // Timing
+    // ---------------------------------------------------------------------------
+    /**
+     * Start a timed span: emits a start record now and an end record on
+     * `span.end(extra)`, both carrying `header.span` (`{ id, parent, phase }`,
+     * plus `duration` in ms on the end record, measured with `this.clock`).
+     *
+     * ```js
+     * const span = worker.span("db.query", { sql }, { trace: "req-42" });
+     * const sub  = span.child("db.fetch");
+     * sub.end({ rows: 10 });
+     * span.end();
+     * ```
+     *
+     * Span ids are per-Worker integers. See `Span` for details.
+     *
+     * @param {string} event `header.event` for the start / end records.
+     * @param {any} [body] Start record payload (defaults to `{}`).
+     * @param {Object} [opts] `emit()` options, plus:
+     * @param {Span|number} [opts.parent] Parent span (or its id).
+     * @returns {Span}
+     */
+    span(event, body, opts = {}) {
+	return new Span(this, event, body, opts);
+    }
+
+    /**
+     * `console.time()`-style shorthand: start a span keyed by `label`
+     * (also used as the event name).
+     *
+     * If `label` is already running, the running timer is kept and null is returned.
+     *
+     * @param {string} [label="default"]
+     * @param {any} [body]
+     * @param {Object} [opts] Same as `span()` opts.
+     * @returns {Span|null}
+     */
+    time(label = "default", body, opts = {}) {
+	const key = String(label);
+	if (this._timers.has(key)) return null;
+
+	const span = this.span(key, body, opts);
+	this._timers.set(key, span);
+	return span;
+    }
+
+    /**
+     * End the span started by `time(label)`.
+     *
+     * @param {string} [label="default"]
+     * @param {any} [extra] End record payload.
+     * @param {Object} [opts] Same as `span.end()` opts.
+     * @returns {Object|null} The end record, or null if `label` is not running
+     *          (or the record was dropped).
+     */
+    timeEnd(label = "default", extra, opts = {}) {
+	const key = String(label);
+	const span = this._timers.get(key);
+	if (!span) return null;
+
+	this._timers.delete(key);
+	return span.end(extra, opts);
+    }
+
+    /**
+     * Wrap a function so each call runs inside a span.
+     *
+     * - sync return => span ends when the function returns
+     * - thenable    => span ends when it settles
+     * - throw / rejection => span ends with `level: "error"` and the error as
+     *   payload, then the error is rethrown
+     *
+     * `this` and arguments are passed through.
+     *
+     * @param {Function} fn
+     * @param {Object} [opts] Same as `span()` opts, plus:
+     * @param {string} [opts.event] Span event (defaults to `fn.name`, else `"timed"`).
+     * @returns {Function}
+     * @throws {Error} If `fn` is not a function.
+     */
+    timed(fn, opts = {}) {
+	if (typeof fn !== "function") {
+            throw new Error(`[log] timed expects a function: ${fn}`);
+	}
+
+	const o = Object.assign({}, (opts && typeof opts === "object") ? opts : {});
+	const event = (o.event != null) ? o.event : (fn.name || "timed");
+	delete o.event;
+
+	const worker = this;
+	return function timed(...args) {
+            const span = worker.span(event, undefined, o);
+            const fail = (err) => span.end(err, { level: "error" });
+
+            let out;
+            try {
+		out = fn.apply(this, args);
+            } catch (err) {
+		fail(err);
+		throw err;
+            }
+
+            if (out && typeof out.then === "function") {
+		return out.then(
+                    (value) => { span.end(); return value; },
+                    (err) => { fail(err); throw err; }
+		);
+            }
+
+            span.end();
+            return out;
+	};
+    }
+
+    /**
+     * Rebuild span trees from stored span records.
+     *
+     * Start and end records are paired by `header.span.id` and nested by
+     * `header.span.parent`. Spans whose parent is not among the matches become
+     * roots; a span whose start record was evicted still appears (with
+     * `start: null`). Paging options in `filter` are ignored.
+     *
+     * ```js
+     * const [root] = worker.spanTree({ trace: "req-42" });
+     * root.duration;             // ms
+     * root.children[0].event;    // "db.fetch"
+     * ```
+     *
+     * @param {Object} [filter] `get()`-style filter (e.g. `{ trace }`).
+     * @returns {Array<{ id: number, parent: number|null, event: string, trace: any,
+     *           start: Object|null, end: Object|null, startAt: number|null,
+     *           endAt: number|null, duration: number|null, children: Object[] }>}
+     *          Root nodes, in start order.
+     */
+    spanTree(filter = {}) {
+	const q = Object.assign({}, (filter && typeof filter === "object") ? filter : {});
+	for (const k of PAGE_KEYS) delete q[k];
+
+	const nodes = new Map();
+	for (const rec of this.get(q)) {
+            const sp = rec.header.span;
+            if (!sp || sp.id == null) continue;
+
+            let node = nodes.get(sp.id);
+            if (!node) {
+		node = {
+                    id: sp.id,
+                    parent: (sp.parent != null) ? sp.parent : null,
+                    event: rec.header.event,
+                    trace: rec.header.trace,
+                    start: null,
+                    end: null,
+                    startAt: null,
+                    endAt: null,
+                    duration: null,
+                    children: []
+		};
+		nodes.set(sp.id, node);
+            }
+
+            if (sp.phase === "start") {
+		node.start = rec;
+		node.startAt = rec.header.at;
+            } else if (sp.phase === "end") {
+		node.end = rec;
+		node.endAt = rec.header.at;
+		node.duration = (sp.duration != null) ? sp.duration : null;
+            }
+	}
+
+	const roots = [];
+	for (const node of nodes.values()) {
+            const parent = (node.parent != null) ? nodes.get(node.parent) : null;
+            if (parent && parent !== node) parent.children.push(node);
+            else roots.push(node);
+	}
+	return roots;
+    }
+
 
     /**
      * Normalize a workspace value.
@@ -0,0 +1,248 @@
+// log/aggregate.js
+//
+// Streaming reductions over records (counts, rates, percentiles), shared by
+// Worker.aggregate() and Manager.aggregate(). Records are fed one at a time;
+// nothing is copied out of storage.
+
+import { readKey } from './query.js';
+import { toJSONSafe } from './utils.js';
+
+const FIELD_OPS = new Set(["count", "sum", "min", "max", "avg"]);
+const PERCENTILE = /^p(\d{1,2}(?:\.\d+)?)$/;
+
+/**
+ * Normalize a metric spec.
+ *
+ * Accepted forms:
+ * - `"count"`                  → records per group
+ * - `"rate"`                   → records per second (see `createAggregator`)
+ * - `"p95:header.delta"` / `"avg:body.ms"` → `op:field` shorthand
+ *   (fields use filter key syntax: bare `delta` would mean `body.delta`)
+ * - `{ op, field, as? }`       → explicit form; `as` renames the result key
+ *
+ * Field ops: `count` (numeric values seen), `sum`, `min`, `max`, `avg`,
+ * `pNN` percentiles (nearest-rank, e.g. `p50`, `p95`, `p99.9`).
+ *
+ * @private
+ * @param {string|Object} spec
+ * @returns {{ op: string, field: string|null, name: string, q?: number }}
+ * @throws {Error} on unknown metrics
+ */
+function normalizeMetric(spec) {
+    let op, field, as;
+
+    if (typeof spec === "string") {
+        const i = spec.indexOf(":");
+        op    = i === -1 ? spec : spec.slice(0, i);
+        field = i === -1 ? null : spec.slice(i + 1);
+    } else if (spec && typeof spec === "object") {
+        op    = spec.op;
+        field = spec.field ?? null;
+        as    = spec.as;
+    }
+
+    op = String(op || "").trim();
+
+    if (!field && (op === "count" || op === "rate")) {
+        return { op, field: null, name: as || op };
+    }
+
+    if (!field) throw new Error(`[log] aggregate metric "${op}" requires a field`);
+
+    const name = as || `${op}:${field}`;
+    const m = op.match(PERCENTILE);
+    if (m) {
+        const q = Number(m[1]);
+        if (!(q > 0 && q <= 100)) throw new Error(`[log] invalid percentile: ${op}`);
+        return { op: "percentile", field, name, q };
+    }
+
+    if (!FIELD_OPS.has(op)) throw new Error(`[log] unknown aggregate metric: ${op}`);
+    return { op, field, name };
+}
+
+/**
+ * Nearest-rank percentile over an ascending numeric array.
+ * @private
+ */
+function percentile(sorted, q) {
+    if (!sorted.length) return null;
+    const rank = Math.ceil((q / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * JSON-friendly group key value (undefined → null; non-JSON scalars stringified).
+ * Objects are returned as-is: they group by identity and are encoded per group.
+ * @private
+ */
+function keyValue(v) {
+    if (v === undefined) return null;
+    if (v === null || typeof v === "string" || typeof v === "boolean") return v;
+    if (typeof v === "number") return Number.isFinite(v) ? v : String(v);
+    if (typeof v === "bigint" || typeof v === "symbol") return String(v);
+    return v;
+}
+
+/**
+ * Whether a key value groups by identity.
+ * @private
+ */
+function isRef(v) {
+    return v !== null && (typeof v === "object" || typeof v === "function");
+}
+
+/**
+ * Create a streaming aggregator.
+ *
+ * @param {Object} [spec]
+ * @param {string|string[]} [spec.groupBy]
+ *        Filter-syntax keys to group by (e.g. `"level"`, `["source", "event"]`).
+ * @param {number} [spec.bucketMs]
+ *        When set, also groups by time bucket: `floor(header.at / bucketMs) * bucketMs`.
+ * @param {Array<string|Object>} [spec.metrics=["count"]]
+ *        Metric specs (see `normalizeMetric`).
+ *
+ * `rate` is records per second over the group's time span: `bucketMs` when time
+ * buckets are used, otherwise `last.at - first.at` (null when the span is 0).
+ *
+ * @returns {{ add: (record: Object) => void, result: () => Object }}
+ * @throws {Error} on invalid specs
+ */
+export function createAggregator(spec = {}) {
+    const s = (spec && typeof spec === "object") ? spec : {};
+
+    const groupBy = s.groupBy == null ? [] : (Array.isArray(s.groupBy) ? s.groupBy : [s.groupBy]);
+    for (const k of groupBy) {
+        if (typeof k !== "string" || !k) throw new Error(`[log] invalid aggregate groupBy key: ${k}`);
+    }
+
+    let bucketMs = null;
+    if (s.bucketMs != null) {
+        bucketMs = Number(s.bucketMs);
+        if (!Number.isFinite(bucketMs) || bucketMs <= 0) {
+            throw new Error(`[log] invalid aggregate bucketMs: ${s.bucketMs}`);
+        }
+    }
+
+    const metrics = (Array.isArray(s.metrics) && s.metrics.length ? s.metrics : ["count"])
+          .map(normalizeMetric);
+
+    const groups = new Map(); // composite key -> state
+    const ids = new WeakMap(); // object key value -> identity id (composite keys)
+    let nextId = 0;
+    const identity = (v) => {
+        let id = ids.get(v);
+        if (id === undefined) ids.set(v, id = ++nextId);
+        return { ref: id };
+    };
+    let total = 0;
+    let from = null;
+    let to = null;
+
+    const add = (rec) => {
+        const at = Number.isFinite(rec?.header?.at) ? rec.header.at : null;
+
+        total++;
+        if (at != null) {
+            if (from == null || at < from) from = at;
+            if (to == null || at > to) to = at;
+        }
+
+        const keyVals = groupBy.map((k) => keyValue(readKey(rec, k)));
+        const slot = (bucketMs != null && at != null) ? Math.floor(at / bucketMs) * bucketMs : null;
+
+        const composite = keyVals.length || bucketMs != null
+              ? JSON.stringify([slot, keyVals.map((v) => isRef(v) ? identity(v) : v)])
+              : "";
+
+        let g = groups.get(composite);
+        if (!g) {
+            const key = {};
+            groupBy.forEach((k, i) => { key[k] = isRef(keyVals[i]) ? toJSONSafe(keyVals[i]) : keyVals[i]; });
+            g = { key, sortKey: composite, at: slot, count: 0, first: null, last: null, fields: new Map() };
+            groups.set(composite, g);
+        }
+
+        g.count++;
+        if (at != null) {
+            if (g.first == null || at < g.first) g.first = at;
+            if (g.last == null || at > g.last) g.last = at;
+        }
+
+        for (const m of metrics) {
+            if (!m.field) continue;
+            const v = readKey(rec, m.field);
+            if (typeof v !== "number" || !Number.isFinite(v)) continue;
+
+            let f = g.fields.get(m.name);
+            if (!f) g.fields.set(m.name, f = { n: 0, sum: 0, min: Infinity, max: -Infinity, values: [] });
+            f.n++;
+            f.sum += v;
+            if (v < f.min) f.min = v;
+            if (v > f.max) f.max = v;
+            if (m.op === "percentile") f.values.push(v);
+        }
+    };
+
+    const result = () => {
+        const out = [];
+
+        for (const g of groups.values()) {
+            const values = {};
+
+            for (const m of metrics) {
+                if (m.op === "count" && !m.field) {
+                    values[m.name] = g.count;
+                    continue;
+                }
+                if (m.op === "rate") {
+                    const span = bucketMs != null ? bucketMs : (g.last - g.first);
+                    values[m.name] = span > 0 ? g.count / (span / 1000) : null;
+                    continue;
+                }
+
+                const f = g.fields.get(m.name);
+                if (!f || f.n === 0) {
+                    values[m.name] = (m.op === "count" || m.op === "sum") ? 0 : null;
+                    continue;
+                }
+
+                switch (m.op) {
+                case "count": values[m.name] = f.n; break;
+                case "sum":   values[m.name] = f.sum; break;
+                case "min":   values[m.name] = f.min; break;
+                case "max":   values[m.name] = f.max; break;
+                case "avg":   values[m.name] = f.sum / f.n; break;
+                case "percentile":
+                    f.values.sort((a, b) => a - b);
+                    values[m.name] = percentile(f.values, m.q);
+                    break;
+                }
+            }
+
+            out.push({ group: g, row: { key: g.key, at: g.at, count: g.count, metrics: values } });
+        }
+
+        // stable ordering: time bucket, then composite key (object values by first appearance)
+        out.sort(({ group: a }, { group: b }) => {
+            if (a.at !== b.at) return (a.at ?? -Infinity) - (b.at ?? -Infinity);
+            return a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0;
+        });
+
+        return {
+            total,
+            from,
+            to,
+            groupBy: groupBy.slice(),
+            bucketMs,
+            groups: out.map((e) => e.row),
+        };
+    };
+
+    return { add, result };
+}
+
+export default {
+    createAggregator
+};
@@ -8,6 +8,12 @@
 import Manager from "./Manager.js";
 import Worker from "./Worker.js";
 import utils from "./utils.js";
+import query from "./query.js";
+import aggregate from "./aggregate.js";
+import sampling from "./sampling.js";
+import redact from "./redact.js";
+import snapshot from "./snapshot.js";
+import context from "./context.js";
 import * as constants from "./constants.js";
 
 const MOD = "[primitive.log]";
@@ -28,6 +34,12 @@ const log = {
   Manager,
   Worker,
   utils,
+  query,
+  aggregate,
+  sampling,
+  redact,
+  snapshot,
+  context,
   constants
 };
 
@@ -37,5 +49,5 @@ lib.hash.set(lib, "primitive.log", log);
 // Optional conveniences (uncomment if you want shorter paths)
 // lib.hash.set(lib, "log", log);
 
-export { log, Manager, Worker, utils, constants };
+export { log, Manager, Worker, utils, query, aggregate, sampling, redact, snapshot, context, constants };
 export default log;
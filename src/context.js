@@ -0,0 +1,132 @@
+// log/context.js
+//
+// Ambient logging context for Worker.emit().
+//
+//   context.run({ trace: "req-42" }, () => handle(req));
+//
+// While `fn` runs, every `emit()` (on any Worker, directly or through a Manager
+// or child logger) without an explicit `opts.trace` / `opts.event` takes them
+// from the active context. Nested `run()` calls layer over the outer context.
+//
+// Backends:
+// - "async": Node's AsyncLocalStorage, so the context follows promises, timers
+//   and callbacks started inside `fn`
+// - "sync":  a plain stack elsewhere; the context is only visible until `fn`
+//   returns (code after the first `await` no longer sees it, use `bind()`)
+//
+// `node:async_hooks` is loaded with `process.getBuiltinModule` where available
+// (Node >= 20.16 / 22.3), otherwise with a dynamic import on Node only, so this
+// module never pulls it into browser bundles.
+
+const ASYNC_HOOKS = "node:async_hooks"; // kept in a variable: bundlers must not resolve it
+
+/**
+ * Build an AsyncLocalStorage from a loaded `async_hooks` module.
+ * @private
+ */
+function fromHooks(hooks) {
+    return (hooks && typeof hooks.AsyncLocalStorage === "function") ? new hooks.AsyncLocalStorage() : null;
+}
+
+/**
+ * Create an AsyncLocalStorage when the runtime offers one.
+ * @private
+ */
+async function createStorage() {
+    const proc = (typeof process !== "undefined") ? process : null;
+    if (!proc || !proc.versions || !proc.versions.node) return null;
+    try {
+        if (typeof proc.getBuiltinModule === "function") return fromHooks(proc.getBuiltinModule(ASYNC_HOOKS));
+        return fromHooks(await import(ASYNC_HOOKS));
+    } catch {
+        return null;
+    }
+}
+
+const storage = await createStorage();
+const stack = []; // sync fallback
+
+/**
+ * Active backend: `"async"` (AsyncLocalStorage) or `"sync"` (stack fallback).
+ */
+export const mode = storage ? "async" : "sync";
+
+/**
+ * The active context, or null outside `run()`.
+ *
+ * @returns {Object|null} Frozen context object.
+ */
+export function current() {
+    if (storage) return storage.getStore() || null;
+    return stack.length ? stack[stack.length - 1] : null;
+}
+
+/**
+ * Read one key from the active context.
+ *
+ * @param {string} key
+ * @returns {any} undefined outside `run()` or when unset.
+ */
+export function get(key) {
+    const ctx = current();
+    return ctx ? ctx[key] : undefined;
+}
+
+/**
+ * Run `fn` with `ctx` layered over the active context.
+ *
+ * @param {Object} ctx e.g. `{ trace, event }`; other keys are kept for `get()`.
+ * @param {Function} fn
+ * @param {...any} args Passed to `fn`.
+ * @returns {any} Whatever `fn` returns.
+ * @throws {Error} If `ctx` is not an object or `fn` is not a function.
+ */
+export function run(ctx, fn, ...args) {
+    if (!ctx || typeof ctx !== "object" || Array.isArray(ctx)) {
+        throw new Error(`[log] context.run expects a context object: ${ctx}`);
+    }
+    if (typeof fn !== "function") {
+        throw new Error(`[log] context.run expects a function: ${fn}`);
+    }
+
+    const next = Object.freeze(Object.assign({}, current(), ctx));
+
+    if (storage) return storage.run(next, fn, ...args);
+
+    stack.push(next);
+    try {
+        return fn(...args);
+    } finally {
+        stack.pop();
+    }
+}
+
+/**
+ * Capture the active context and return a function that restores it on call.
+ *
+ * Useful with the sync backend to carry a context across callbacks / `await`.
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ * @throws {Error} If `fn` is not a function.
+ */
+export function bind(fn) {
+    if (typeof fn !== "function") {
+        throw new Error(`[log] context.bind expects a function: ${fn}`);
+    }
+
+    const ctx = current();
+    if (!ctx) return fn;
+
+    return function bound(...args) {
+        return run(ctx, () => fn.apply(this, args));
+    };
+}
+
+export default {
+    mode,
+    current,
+    get,
+    run,
+    bind
+};
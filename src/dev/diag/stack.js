@@ -92,14 +92,18 @@ export function parseStackLine(line) {
         let fn, file, lineNo, colNo;
 
         let m = raw.match(/at\s+(.*?)\s+\((.*?):(\d+):(\d+)\)/) ||
-            raw.match(/^(.*?)@(.*?):(\d+):(\d+)/) ||
-            raw.match(/at\s+(.*?):(\d+):(\d+)/);
+            raw.match(/^(.*?)@(.*?):(\d+):(\d+)/);
 
         if (m) {
             fn     = m[1]?.trim();
             file   = m[2];
             lineNo = Number(m[3]);
             colNo  = Number(m[4]);
+        } else if ((m = raw.match(/at\s+(.*?):(\d+):(\d+)/))) {
+            // anonymous frame: "at file.js:10:5"
+            file   = m[1];
+            lineNo = Number(m[2]);
+            colNo  = Number(m[3]);
         }
 
         if (!file) return { raw };
@@ -2,15 +2,21 @@
 import Manager from "./Manager.js";
 import Worker from "./Worker.js";
 import utils from "./utils.js";
+import query from "./query.js";
+import aggregate from "./aggregate.js";
+import sampling from "./sampling.js";
+import redact from "./redact.js";
+import snapshot from "./snapshot.js";
+import context from "./context.js";
 import * as constants from "./constants.js";
 
 // Handy named constant export (common import pattern)
 export const { CONSOLE_LEVEL } = constants;
 
 // Named exports
-export { Manager, Worker, utils, constants };
+export { Manager, Worker, utils, query, aggregate, sampling, redact, snapshot, context, constants };
 
 // Default / namespace-style export
-const log = { Manager, Worker, utils, constants, CONSOLE_LEVEL };
+const log = { Manager, Worker, utils, query, aggregate, sampling, redact, snapshot, context, constants, CONSOLE_LEVEL };
 export { log };
 export default log;
@@ -0,0 +1,375 @@
+// log/query.js
+//
+// Record filter compiler shared by Worker.get(), subscriptions and other
+// readers that need `get()` filter semantics on a single record.
+//
+// Filters are plain data (JSON-serializable) unless they use predicate
+// functions or RegExp instances:
+//
+//   { level: "error", "body.user.id": { $in: [1, 2] }, $or: [{ event: "a" }, { event: "b" }] }
+
+/**
+ * Known header fields (best-effort routing when caller omits header/body).
+ */
+export const KNOWN_HEADER = Object.freeze(["at", "source", "level", "event", "trace"]);
+
+/**
+ * Filter keys that are read options rather than record predicates.
+ * `since` / `afterSeq` are still enforced by `compileFilter()`; the paging keys
+ * (`limit`, `order`, `offset`, `pageToken`) and `reduce` are applied by the reader.
+ */
+export const SPECIAL_KEYS = Object.freeze(["limit", "since", "afterSeq", "order", "offset", "pageToken", "reduce"]);
+
+/**
+ * Paging keys (plus the `reduce` read option): meaningful to `Worker.get()` /
+ * `Worker.page()` only. Readers that hand out every match (subscriptions,
+ * cursors, tails, aggregates) drop them.
+ */
+export const PAGE_KEYS = Object.freeze(["limit", "order", "offset", "pageToken", "reduce"]);
+
+/**
+ * Top-level logical operators (values are nested filters).
+ */
+export const LOGICAL_OPERATORS = Object.freeze(["$and", "$or", "$not"]);
+
+/**
+ * Field operators usable in an operator object: `{ field: { $gt: 1, $lt: 5 } }`.
+ */
+export const FIELD_OPERATORS = Object.freeze([
+    "$eq", "$ne", "$in", "$nin", "$gt", "$gte", "$lt", "$lte",
+    "$regex", "$options", "$exists", "$not"
+]);
+
+const KNOWN_HEADER_SET = new Set(KNOWN_HEADER);
+const SPECIAL_KEYS_SET = new Set(SPECIAL_KEYS);
+const FIELD_OPERATORS_SET = new Set(FIELD_OPERATORS);
+
+/**
+ * Resolve a filter key into its target container and property.
+ *
+ * - `"header.foo"` → `{ where: "header", prop: "foo" }`
+ * - `"body.bar"`   → `{ where: "body",   prop: "bar" }`
+ * - bare keys      → header when known (`at`, `source`, `level`, `event`, `trace`), otherwise body
+ *
+ * `prop` may be a dotted path; see `resolvePath()`.
+ *
+ * @param {string} rawKey
+ * @returns {{ where: "header"|"body", prop: string }}
+ */
+export function routeKey(rawKey) {
+    const key = String(rawKey);
+
+    // Only treat as namespaced if explicitly prefixed
+    if (key.startsWith("header.")) {
+        return { where: "header", prop: key.slice("header.".length) };
+    }
+    if (key.startsWith("body.")) {
+        return { where: "body", prop: key.slice("body.".length) };
+    }
+
+    // bare key (including keys containing dots)
+    return { where: KNOWN_HEADER_SET.has(key) ? "header" : "body", prop: key };
+}
+
+/**
+ * Read a (possibly dotted) property from a container.
+ *
+ * - An own property whose name is the full `prop` wins (literal keys such as
+ *   `"user.id"` keep matching as before).
+ * - Otherwise `prop` is split on `.` and traversed; missing links yield undefined.
+ * - Getter errors yield undefined.
+ *
+ * @param {any} container
+ * @param {string} prop
+ * @returns {any}
+ */
+export function resolvePath(container, prop) {
+    if (container == null) return undefined;
+
+    try {
+        if (typeof container === "object" && Object.prototype.hasOwnProperty.call(container, prop)) {
+            return container[prop];
+        }
+        if (!prop.includes(".")) return container[prop];
+
+        let cur = container;
+        for (const part of prop.split(".")) {
+            if (cur == null) return undefined;
+            cur = cur[part];
+        }
+        return cur;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Read the value a filter key targets on a record.
+ *
+ * @param {Object} rec
+ * @param {string} key Filter key (`"header.x"`, `"body.a.b"`, bare key).
+ * @returns {any}
+ */
+export function readKey(rec, key) {
+    const { where, prop } = routeKey(key);
+    return resolvePath(rec && rec[where], prop);
+}
+
+/**
+ * Test whether a value is an operator object (`{ $gt: 1 }`).
+ *
+ * @param {any} v
+ * @returns {boolean}
+ */
+export function isOperatorObject(v) {
+    if (!v || typeof v !== "object" || Array.isArray(v) || v instanceof RegExp) return false;
+    const keys = Object.keys(v);
+    return keys.length > 0 && keys.every((k) => k.startsWith("$"));
+}
+
+/**
+ * Compile a single field condition into `(value, record) => boolean`.
+ *
+ * - function        => predicate (errors => non-match)
+ * - RegExp          => `$regex` shorthand
+ * - operator object => all operators must match
+ * - anything else   => strict equality
+ *
+ * @private
+ * @param {any} expected
+ * @returns {(value: any, record: Object) => boolean}
+ * @throws {Error} on unknown operators or malformed operands
+ */
+function compileCondition(expected) {
+    if (typeof expected === "function") {
+        return (value, rec) => {
+            try {
+                return !!expected(value, rec);
+            } catch {
+                return false;
+            }
+        };
+    }
+
+    if (expected instanceof RegExp) {
+        return (value) => typeof value === "string" && testRegex(expected, value);
+    }
+
+    if (!isOperatorObject(expected)) {
+        return (value) => value === expected;
+    }
+
+    const checks = [];
+
+    for (const [op, arg] of Object.entries(expected)) {
+        if (!FIELD_OPERATORS_SET.has(op)) {
+            throw new Error(`[log] unknown query operator: ${op}`);
+        }
+
+        switch (op) {
+        case "$eq":
+            checks.push((v) => v === arg);
+            break;
+        case "$ne":
+            checks.push((v) => v !== arg);
+            break;
+        case "$in":
+        case "$nin": {
+            if (!Array.isArray(arg)) throw new Error(`[log] ${op} expects an array`);
+            const set = new Set(arg);
+            const hit = (v) => Array.isArray(v) ? v.some((x) => set.has(x)) : set.has(v);
+            checks.push(op === "$in" ? hit : (v) => !hit(v));
+            break;
+        }
+        case "$gt":
+            checks.push((v) => comparable(v, arg) && v > arg);
+            break;
+        case "$gte":
+            checks.push((v) => comparable(v, arg) && v >= arg);
+            break;
+        case "$lt":
+            checks.push((v) => comparable(v, arg) && v < arg);
+            break;
+        case "$lte":
+            checks.push((v) => comparable(v, arg) && v <= arg);
+            break;
+        case "$regex": {
+            const re = (arg instanceof RegExp) ? arg : new RegExp(String(arg), expected.$options || "");
+            checks.push((v) => typeof v === "string" && testRegex(re, v));
+            break;
+        }
+        case "$options":
+            // consumed by $regex
+            break;
+        case "$exists":
+            checks.push(arg ? (v) => v !== undefined : (v) => v === undefined);
+            break;
+        case "$not": {
+            const inner = compileCondition(arg);
+            checks.push((v, rec) => !inner(v, rec));
+            break;
+        }
+        }
+    }
+
+    return (value, rec) => {
+        for (const fn of checks) {
+            if (!fn(value, rec)) return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Ordering operators only compare numbers with numbers and strings with strings.
+ * @private
+ */
+function comparable(a, b) {
+    const t = typeof a;
+    return (t === "number" || t === "string") && t === typeof b;
+}
+
+/**
+ * RegExp test that is safe for global/sticky regexes (resets `lastIndex`).
+ * @private
+ */
+function testRegex(re, s) {
+    re.lastIndex = 0;
+    return re.test(s);
+}
+
+/**
+ * Compile a `Worker.get()`-style filter into a single record predicate.
+ *
+ * Applied parts:
+ * - key predicates (see `routeKey()` / `resolvePath()`):
+ *   - scalars via `===`
+ *   - functions as `(value, record) => boolean` predicates (errors => non-match)
+ *   - RegExp values as `$regex` shorthand
+ *   - operator objects: `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`,
+ *     `$lte`, `$regex` (+ `$options`), `$exists`, `$not`
+ * - logical composition: `$and: [filter…]`, `$or: [filter…]`, `$not: filter`;
+ *   any other top-level `$` key throws (use `"body.$key"` for such body fields)
+ * - `since`    : `record.header.at >= since`
+ * - `afterSeq` : `record.header.seq > afterSeq`
+ *
+ * Ignored parts:
+ * - `limit`, `order`, `offset`, `pageToken`, `reduce` (read options, not predicates)
+ * - keys whose value is `undefined`
+ *
+ * Non-object filters compile to a predicate accepting every record.
+ *
+ * @param {any} filter
+ * @returns {(record: Object) => boolean}
+ * @throws {Error} on unknown operators or malformed logical operands
+ */
+export function compileFilter(filter) {
+    const f = (filter && typeof filter === "object") ? filter : {};
+
+    // Optional range filter (lower bound on header.at)
+    const since = Number.isFinite(f.since) ? f.since : null;
+
+    // Optional sequence filter (exclusive lower bound on header.seq)
+    const afterSeq = Number.isFinite(f.afterSeq) ? f.afterSeq : null;
+
+    const predicates = [];
+
+    for (const [rawKey, expected] of Object.entries(f)) {
+        if (SPECIAL_KEYS_SET.has(rawKey)) continue;
+        if (expected === undefined) continue;
+
+        // logical composition over nested filters
+        if (rawKey === "$and" || rawKey === "$or") {
+            if (!Array.isArray(expected)) throw new Error(`[log] ${rawKey} expects an array of filters`);
+            const subs = expected.map(compileFilter);
+            predicates.push(rawKey === "$and"
+                ? (rec) => subs.every((fn) => fn(rec))
+                : (rec) => subs.some((fn) => fn(rec)));
+            continue;
+        }
+        if (rawKey === "$not") {
+            const sub = compileFilter(expected);
+            predicates.push((rec) => !sub(rec));
+            continue;
+        }
+        if (rawKey.startsWith("$")) {
+            // typos / unsupported operators ($nor, $where, ...) must not silently match nothing;
+            // body keys starting with "$" are still reachable as "body.$key"
+            throw new Error(`[log] unknown logical operator: ${rawKey}`);
+        }
+
+        const { where, prop } = routeKey(rawKey);
+        const cond = compileCondition(expected);
+
+        predicates.push((rec) => cond(resolvePath(rec && rec[where], prop), rec));
+    }
+
+    return (rec) => {
+        if (!rec) return false;
+
+        // since => header.at lower bound
+        if (since != null) {
+            const t = Number.isFinite(rec?.header?.at) ? rec.header.at : null;
+            if (t == null || t < since) return false;
+        }
+
+        // afterSeq => header.seq exclusive lower bound
+        if (afterSeq != null && !(rec?.header?.seq > afterSeq)) return false;
+
+        for (const fn of predicates) {
+            if (!fn(rec)) return false;
+        }
+
+        return true;
+    };
+}
+
+/**
+ * Encode a continuation token for `Worker.get()` / `Worker.page()`.
+ *
+ * Tokens are opaque to callers. They anchor on `header.seq` (never reused), so a
+ * page continues after the last record seen even while new records arrive or
+ * old ones are evicted.
+ *
+ * @param {number} seq `header.seq` of the last record returned.
+ * @param {"asc"|"desc"} order
+ * @returns {string}
+ */
+export function encodePageToken(seq, order) {
+    return btoa(JSON.stringify({ v: 1, o: order, s: seq }));
+}
+
+/**
+ * Decode a continuation token produced by `encodePageToken()`.
+ *
+ * @param {string} token
+ * @returns {{ seq: number, order: "asc"|"desc" }}
+ * @throws {Error} If the token is malformed.
+ */
+export function decodePageToken(token) {
+    let t = null;
+    try {
+        t = JSON.parse(atob(String(token)));
+    } catch {
+        t = null;
+    }
+    if (!t || t.v !== 1 || !Number.isInteger(t.s) || (t.o !== "asc" && t.o !== "desc")) {
+        throw new Error(`[log] invalid pageToken: ${token}`);
+    }
+    return { seq: t.s, order: t.o };
+}
+
+export default {
+    KNOWN_HEADER,
+    SPECIAL_KEYS,
+    PAGE_KEYS,
+    LOGICAL_OPERATORS,
+    FIELD_OPERATORS,
+    routeKey,
+    resolvePath,
+    readKey,
+    isOperatorObject,
+    compileFilter,
+    encodePageToken,
+    decodePageToken
+};
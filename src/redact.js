@@ -0,0 +1,408 @@
+// log/redact.js
+//
+// Redaction stage for Worker.emit(): masks or drops sensitive values in a
+// record body before it is stored.
+//
+// Policy shape (all optional):
+//
+//   {
+//     paths:    ["*.password", "headers.authorization"], // key-path globs to mask
+//     drop:     ["debug.rawRequest"],                     // key-path globs to delete
+//     patterns: [/\b\d{16}\b/, { regex: /x-\w+/g, replace: "[hdr]" }], // regexes on string values
+//     builtins: true,          // true (all), false, or a list of BUILTIN_REDACTIONS names
+//     mask:     "[REDACTED]"   // replacement for masked paths / pattern matches
+//   }
+//
+// Path globs are dotted, relative to the body, and case-insensitive per segment:
+// `*` matches exactly one segment (object key or array index), `**` matches any
+// number of segments (including none).
+//
+// The body is never mutated: containers on the way to a changed value are
+// shallow-copied (copy-on-write); untouched branches keep their identity.
+//
+// Redaction fails closed: class instances (and Errors' `message` / `stack`),
+// Maps and Sets are walked too, cyclic references become "[Circular]" and
+// containers nested deeper than MAX_DEPTH are replaced by the mask.
+
+const MAX_DEPTH = 32;
+
+/**
+ * Built-in rule sets, selectable by name via `builtins`.
+ *
+ * - `secretKeys` : masks values under common secret-bearing keys at any depth
+ * - `bearer`     : `Bearer <token>` values
+ * - `jwt`        : JSON Web Tokens
+ * - `awsKey`     : AWS access key ids
+ * - `privateKey` : PEM private key blocks
+ * - `email`      : email addresses
+ */
+export const BUILTIN_REDACTIONS = Object.freeze({
+    secretKeys: Object.freeze({
+        paths: Object.freeze([
+            "**.password", "**.passwd", "**.pwd", "**.secret", "**.token",
+            "**.apiKey", "**.api_key", "**.accessToken", "**.access_token",
+            "**.refreshToken", "**.refresh_token", "**.clientSecret", "**.client_secret",
+            "**.privateKey", "**.private_key", "**.authorization", "**.cookie", "**.set-cookie"
+        ])
+    }),
+    bearer:     Object.freeze({ patterns: Object.freeze([/\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi]) }),
+    jwt:        Object.freeze({ patterns: Object.freeze([/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g]) }),
+    awsKey:     Object.freeze({ patterns: Object.freeze([/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g]) }),
+    privateKey: Object.freeze({ patterns: Object.freeze([/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g]) }),
+    email:      Object.freeze({ patterns: Object.freeze([/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g]) })
+});
+
+const DEFAULT_MASK = "[REDACTED]";
+const CIRCULAR = "[Circular]";
+
+/**
+ * Validate a list of path globs.
+ * @private
+ */
+function pathList(value, label) {
+    if (value == null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    for (const p of list) {
+        if (typeof p !== "string" || p.trim() === "") {
+            throw new Error(`[log] invalid redact ${label} path: ${p}`);
+        }
+    }
+    return list.map((p) => p.trim());
+}
+
+/**
+ * Validate a list of value patterns (RegExp or `{ regex, replace }`).
+ * @private
+ */
+function patternList(value) {
+    if (value == null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    return list.map((p) => {
+        if (p instanceof RegExp) return Object.freeze({ regex: p, replace: null });
+        if (p && typeof p === "object" && p.regex instanceof RegExp) {
+            return Object.freeze({ regex: p.regex, replace: (p.replace != null) ? String(p.replace) : null });
+        }
+        throw new Error(`[log] invalid redact pattern: ${p}`);
+    });
+}
+
+/**
+ * Normalize a redaction policy.
+ *
+ * - falsy => null (no redaction)
+ * - `true` => built-ins only
+ * - object => frozen `{ paths, drop, patterns, builtins, mask }`
+ *
+ * @param {any} spec
+ * @returns {Object|null}
+ * @throws {Error} On malformed policies or unknown built-in names.
+ */
+export function normalizeRedact(spec) {
+    if (!spec) return null;
+    if (spec === true) spec = {};
+    if (typeof spec !== "object" || Array.isArray(spec)) {
+        throw new Error(`[log] invalid redact policy: ${spec}`);
+    }
+
+    let builtins;
+    if (spec.builtins == null || spec.builtins === true) builtins = Object.keys(BUILTIN_REDACTIONS);
+    else if (spec.builtins === false) builtins = [];
+    else if (Array.isArray(spec.builtins)) builtins = spec.builtins.map(String);
+    else throw new Error(`[log] invalid redact builtins: ${spec.builtins}`);
+
+    for (const name of builtins) {
+        if (!Object.prototype.hasOwnProperty.call(BUILTIN_REDACTIONS, name)) {
+            throw new Error(`[log] unknown redact builtin: ${name}`);
+        }
+    }
+
+    return Object.freeze({
+        paths: Object.freeze(pathList(spec.paths, "mask")),
+        drop: Object.freeze(pathList(spec.drop, "drop")),
+        patterns: Object.freeze(patternList(spec.patterns)),
+        builtins: Object.freeze(builtins),
+        mask: (spec.mask != null) ? String(spec.mask) : DEFAULT_MASK
+    });
+}
+
+/**
+ * Layer a redaction policy over an inherited one.
+ *
+ * - `over` falsy (`false`/`null`) => redaction off
+ * - `over.inherit === false` => `over` alone
+ * - otherwise paths/drop/patterns are concatenated; `builtins` and `mask`
+ *   come from `over` when it sets them
+ *
+ * @param {Object|null} base Normalized inherited policy.
+ * @param {any} over Raw or normalized bucket policy.
+ * @returns {Object|null} Normalized policy.
+ */
+export function mergeRedact(base, over) {
+    if (!over) return null;
+    const o = (over === true) ? {} : over;
+    if (!base || o.inherit === false) return normalizeRedact(o);
+
+    const own = normalizeRedact(o);
+    return Object.freeze({
+        paths: Object.freeze([...base.paths, ...own.paths]),
+        drop: Object.freeze([...base.drop, ...own.drop]),
+        patterns: Object.freeze([...base.patterns, ...own.patterns]),
+        builtins: ("builtins" in o) ? own.builtins : base.builtins,
+        mask: ("mask" in o) ? own.mask : base.mask
+    });
+}
+
+/**
+ * Compile a dotted path glob into lower-cased segments.
+ *
+ * @param {string} glob e.g. `"*.password"`, `"**.token"`, `"headers.authorization"`
+ * @returns {string[]}
+ */
+export function compileGlob(glob) {
+    return glob.split(".").map((s) => s.toLowerCase());
+}
+
+/**
+ * Test a concrete path (lower-cased segments) against a compiled glob.
+ *
+ * With `prefix`, also accepts paths that could still be extended into a match
+ * (i.e. `path` is an ancestor of something the glob matches).
+ *
+ * @param {string[]} glob From `compileGlob()`.
+ * @param {string[]} path Lower-cased key segments.
+ * @param {boolean} [prefix=false]
+ * @returns {boolean}
+ */
+export function globMatch(glob, path, prefix = false, gi = 0, pi = 0) {
+    while (gi < glob.length) {
+        if (prefix && pi >= path.length) return true;
+        const g = glob[gi];
+        if (g === "**") {
+            for (let k = pi; k <= path.length; k++) {
+                if (globMatch(glob, path, prefix, gi + 1, k)) return true;
+            }
+            return false;
+        }
+        if (pi >= path.length) return false;
+        if (g !== "*" && g !== path[pi]) return false;
+        gi++;
+        pi++;
+    }
+    return pi === path.length;
+}
+
+/**
+ * Values that cannot carry key paths or strings worth redacting.
+ * @private
+ */
+function isOpaque(v) {
+    return v instanceof Date || v instanceof RegExp || v instanceof ArrayBuffer ||
+        ArrayBuffer.isView(v) || v instanceof WeakMap || v instanceof WeakSet ||
+        v instanceof Promise;
+}
+
+/**
+ * Keys to walk on an object: indices for arrays, own enumerable keys otherwise
+ * (plus an Error's own `message` / `stack`).
+ * @private
+ */
+function objectKeys(v) {
+    if (Array.isArray(v)) return [...v.keys()];
+    const keys = Object.keys(v);
+    if (v instanceof Error) {
+        for (const k of ["message", "stack"]) {
+            if (!keys.includes(k) && Object.prototype.hasOwnProperty.call(v, k)) keys.push(k);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Shallow copy keeping the prototype (and accessors, until overwritten).
+ * @private
+ */
+function shallowCopy(v) {
+    if (Array.isArray(v)) return v.slice();
+    return Object.create(Object.getPrototypeOf(v), Object.getOwnPropertyDescriptors(v));
+}
+
+/**
+ * Set / delete a key on a copy made by `shallowCopy()` (`__proto__`-safe).
+ * @private
+ */
+function setKey(copy, k, value) {
+    if (Array.isArray(copy)) copy[k] = value;
+    else Object.defineProperty(copy, k, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Build a redactor from a normalized policy.
+ *
+ * @param {Object|null} policy From `normalizeRedact()` / `mergeRedact()`.
+ * @returns {{ policy: Object, apply: (body: any) => { value: any, masked: number, dropped: number } }|null}
+ *          null when the policy is null or has no rules.
+ */
+export function createRedactor(policy) {
+    if (!policy) return null;
+
+    const maskGlobs = policy.paths.map(compileGlob);
+    const dropGlobs = policy.drop.map(compileGlob);
+    const patterns  = [...policy.patterns];
+
+    for (const name of policy.builtins) {
+        const b = BUILTIN_REDACTIONS[name];
+        if (b.paths) for (const p of b.paths) maskGlobs.push(compileGlob(p));
+        if (b.patterns) for (const re of b.patterns) patterns.push({ regex: re, replace: null });
+    }
+
+    // replace-all semantics regardless of the caller's flags
+    const replacers = patterns.map(({ regex, replace }) => ({
+        regex: regex.global ? regex : new RegExp(regex.source, regex.flags + "g"),
+        replace
+    }));
+
+    if (!maskGlobs.length && !dropGlobs.length && !patterns.length) return null;
+
+    const mask = policy.mask;
+
+    const apply = (body) => {
+        let masked = 0;
+        let dropped = 0;
+        const path = [];
+        const active = new Set(); // cycle guard
+
+        const scrub = (s) => {
+            let out = s;
+            for (const { regex, replace } of replacers) {
+                regex.lastIndex = 0;
+                out = out.replace(regex, replace ?? mask);
+            }
+            if (out !== s) masked++;
+            return out;
+        };
+
+        // per-key verdict: "drop", "mask" or null (walk into the value)
+        const verdict = () => {
+            if (dropGlobs.some((g) => globMatch(g, path))) return "drop";
+            if (maskGlobs.some((g) => globMatch(g, path))) return "mask";
+            return null;
+        };
+
+        const walkObject = (value, depth) => {
+            let copy = null; // created on first change
+
+            for (const k of objectKeys(value)) {
+                path.push(String(k).toLowerCase());
+
+                const v = verdict();
+                if (v === "drop") {
+                    copy = copy || shallowCopy(value);
+                    if (Array.isArray(copy)) copy[k] = undefined;
+                    else delete copy[k];
+                    dropped++;
+                } else if (v === "mask") {
+                    if (value[k] !== mask) {
+                        copy = copy || shallowCopy(value);
+                        setKey(copy, k, mask);
+                        masked++;
+                    }
+                } else {
+                    const child = value[k];
+                    const next = walk(child, depth + 1);
+                    if (next !== child) {
+                        copy = copy || shallowCopy(value);
+                        setKey(copy, k, next);
+                    }
+                }
+
+                path.pop();
+            }
+
+            return copy || value;
+        };
+
+        const walkMap = (value, depth) => {
+            let copy = null;
+
+            for (const [k, child] of value) {
+                path.push(String(k).toLowerCase());
+
+                const v = verdict();
+                if (v === "drop") {
+                    copy = copy || new Map(value);
+                    copy.delete(k);
+                    dropped++;
+                } else if (v === "mask") {
+                    if (child !== mask) {
+                        copy = copy || new Map(value);
+                        copy.set(k, mask);
+                        masked++;
+                    }
+                } else {
+                    const next = walk(child, depth + 1);
+                    if (next !== child) {
+                        copy = copy || new Map(value);
+                        copy.set(k, next);
+                    }
+                }
+
+                path.pop();
+            }
+
+            return copy || value;
+        };
+
+        const walkSet = (value, depth) => {
+            let changed = false;
+            const items = [];
+            let i = 0;
+
+            for (const child of value) {
+                path.push(String(i++));
+                const next = walk(child, depth + 1);
+                if (next !== child) changed = true;
+                items.push(next);
+                path.pop();
+            }
+
+            return changed ? new Set(items) : value;
+        };
+
+        const walk = (value, depth) => {
+            if (typeof value === "string") return replacers.length ? scrub(value) : value;
+            if (!value || typeof value !== "object" || isOpaque(value)) return value;
+
+            // fail closed: never hand back an unwalked reference
+            if (active.has(value)) return CIRCULAR;
+            if (depth > MAX_DEPTH) {
+                masked++;
+                return mask;
+            }
+
+            active.add(value);
+            let out;
+            try {
+                if (value instanceof Map) out = walkMap(value, depth);
+                else if (value instanceof Set) out = walkSet(value, depth);
+                else out = walkObject(value, depth);
+            } finally {
+                active.delete(value);
+            }
+            return out;
+        };
+
+        const value = walk(body, 0);
+        return { value, masked, dropped };
+    };
+
+    return { policy, apply };
+}
+
+export default {
+    BUILTIN_REDACTIONS,
+    compileGlob,
+    globMatch,
+    normalizeRedact,
+    mergeRedact,
+    createRedactor
+};
@@ -0,0 +1,188 @@
+// log/sampling.js
+//
+// Capture-time sampling / rate limiting for Worker.emit().
+//
+// A sampler decides from `(level, event)` alone, before a record is built, so
+// rejected emits never allocate a record. Policies (all optional, applied in
+// this order; the first rejection wins):
+//
+//   {
+//     exempt:      ["error"],                       // levels that bypass every policy (default)
+//     nth:         { first: 10, every: 100 },       // per header.event: first N, then every Kth
+//     rateLimit:   { perSecond: 50, burst: 100 },   // per header.event token bucket
+//     probability: 0.1 | { debug: 0.01, default: 1 }, // keep ratio per level
+//     seed:        42                              // deterministic RNG (tests)
+//   }
+
+/**
+ * Rejection reasons reported by `decide()` (and counted in `Worker.stats().sampled`).
+ */
+export const SAMPLING_REASONS = Object.freeze(["nth", "rateLimit", "probability"]);
+
+/**
+ * Small seeded PRNG (mulberry32). Returns floats in `[0, 1)`.
+ *
+ * @param {number} seed 32-bit integer seed.
+ * @returns {() => number}
+ */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Validate a keep ratio in `[0, 1]`.
+ * @private
+ */
+function ratio(value, label) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+        throw new Error(`[log] invalid sampling ${label}: ${value}`);
+    }
+    return n;
+}
+
+/**
+ * Validate a non-negative integer.
+ * @private
+ */
+function count(value, label, min = 0) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) {
+        throw new Error(`[log] invalid sampling ${label}: ${value}`);
+    }
+    return n;
+}
+
+/**
+ * Normalize a sampling policy.
+ *
+ * - falsy => null (no sampling)
+ * - object => frozen normalized policy
+ *
+ * @param {any} spec
+ * @returns {Object|null}
+ * @throws {Error} On malformed policies.
+ */
+export function normalizeSampling(spec) {
+    if (!spec) return null;
+    if (typeof spec !== "object" || Array.isArray(spec)) {
+        throw new Error(`[log] invalid sampling policy: ${spec}`);
+    }
+
+    const out = {};
+
+    const exempt = ("exempt" in spec) ? spec.exempt : ["error"];
+    if (exempt != null && !Array.isArray(exempt)) {
+        throw new Error("[log] sampling exempt expects an array of levels");
+    }
+    out.exempt = Object.freeze((exempt || []).map(String));
+
+    if (spec.probability != null) {
+        if (typeof spec.probability === "object") {
+            const map = { default: 1 };
+            for (const [level, p] of Object.entries(spec.probability)) {
+                map[level] = ratio(p, `probability for "${level}"`);
+            }
+            out.probability = Object.freeze(map);
+        } else {
+            out.probability = Object.freeze({ default: ratio(spec.probability, "probability") });
+        }
+    }
+
+    if (spec.rateLimit != null) {
+        const r = spec.rateLimit;
+        const perSecond = Number(r && r.perSecond);
+        if (!Number.isFinite(perSecond) || perSecond <= 0) {
+            throw new Error(`[log] invalid sampling rateLimit.perSecond: ${r && r.perSecond}`);
+        }
+        const burst = (r.burst != null) ? count(r.burst, "rateLimit.burst", 1) : Math.max(1, Math.ceil(perSecond));
+        out.rateLimit = Object.freeze({ perSecond, burst });
+    }
+
+    if (spec.nth != null) {
+        const n = spec.nth;
+        out.nth = Object.freeze({
+            first: count(n && n.first != null ? n.first : 0, "nth.first"),
+            every: count(n && n.every != null ? n.every : 0, "nth.every")
+        });
+    }
+
+    if (spec.seed != null) {
+        out.seed = count(spec.seed, "seed");
+    }
+
+    return Object.freeze(out);
+}
+
+/**
+ * Create a stateful sampler for one Worker.
+ *
+ * Per-event state (`nth` counters, token buckets) is keyed on `header.event`;
+ * emits without an event share one key. State grows with the number of
+ * distinct events seen.
+ *
+ * @param {Object} policy Normalized policy (`normalizeSampling()`).
+ * @param {() => number} now Time source (epoch ms) for the token bucket.
+ * @returns {{ policy: Object, decide: (level: string, event?: string) => string|null }}
+ *          `decide()` returns null to keep, `"exempt"` for exempt levels (kept),
+ *          or the rejection reason (see `SAMPLING_REASONS`).
+ */
+export function createSampler(policy, now) {
+    const exempt = new Set(policy.exempt);
+    const random = (policy.seed != null) ? mulberry32(policy.seed) : Math.random;
+
+    const seen = new Map();    // event -> occurrences (nth)
+    const buckets = new Map(); // event -> { tokens, at } (rateLimit)
+
+    const decide = (level, event) => {
+        const lvl = String(level);
+        if (exempt.has(lvl)) return "exempt";
+
+        const key = (event == null) ? "" : String(event);
+
+        if (policy.nth) {
+            const n = (seen.get(key) || 0) + 1;
+            seen.set(key, n);
+            const { first, every } = policy.nth;
+            if (n > first && !(every > 0 && (n - first) % every === 0)) return "nth";
+        }
+
+        if (policy.rateLimit) {
+            const { perSecond, burst } = policy.rateLimit;
+            const t = now();
+            let b = buckets.get(key);
+            if (!b) buckets.set(key, b = { tokens: burst, at: t });
+
+            const elapsed = Math.max(0, t - b.at);
+            b.tokens = Math.min(burst, b.tokens + (elapsed / 1000) * perSecond);
+            b.at = t;
+
+            if (b.tokens < 1) return "rateLimit";
+            b.tokens -= 1;
+        }
+
+        if (policy.probability) {
+            const probs = policy.probability;
+            const p = Object.prototype.hasOwnProperty.call(probs, lvl) ? probs[lvl] : probs.default;
+            if (p < 1 && !(random() < p)) return "probability";
+        }
+
+        return null;
+    };
+
+    return { policy, decide };
+}
+
+export default {
+    SAMPLING_REASONS,
+    mulberry32,
+    normalizeSampling,
+    createSampler
+};
@@ -0,0 +1,75 @@
+// log/snapshot.js
+//
+// Versioning for Manager.snapshot() / Manager.restore().
+//
+// A snapshot is plain JSON:
+//
+//   {
+//     version: 1,
+//     at: 1700000000000,                                   // manager clock at capture
+//     manager: { name, enabled, throwOnError, seq },
+//     worker:  { ...Worker defaults },                     // JSON-safe (utils.toJSONSafe)
+//     buckets: [{ name, config, records, counters, seq, count, lastAt, tiers }]
+//   }
+//
+// `config` / `worker` / each record / `counters` are separate `toJSONSafe()` roots.
+// Functions (`onEvent`, `onEvict`, `onPrint`, `clock`, `sizeOf`, `dedupe.key`)
+// are stored as reference names (null = library default) and rebound on restore.
+//
+// Older snapshots are upgraded one version at a time by SNAPSHOT_MIGRATIONS.
+
+/**
+ * Current snapshot format version.
+ */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Forward migrations: `{ [fromVersion]: (snapshot) => snapshot }`. Each step
+ * returns a snapshot in the shape of `fromVersion + 1` (the version field is
+ * bumped by `migrateSnapshot()`).
+ */
+export const SNAPSHOT_MIGRATIONS = Object.freeze({});
+
+/**
+ * Validate a snapshot and migrate it to `SNAPSHOT_VERSION`.
+ *
+ * @param {Object} snapshot
+ * @returns {Object} The (possibly migrated) snapshot.
+ * @throws {Error} On malformed snapshots, versions newer than supported, or
+ *         missing migration steps.
+ */
+export function migrateSnapshot(snapshot) {
+    if (!snapshot || typeof snapshot !== "object" || Array.isArray(snapshot)) {
+        throw new Error("[log] invalid snapshot: expected an object");
+    }
+
+    let version = snapshot.version;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`[log] invalid snapshot version: ${version}`);
+    }
+    if (version > SNAPSHOT_VERSION) {
+        throw new Error(`[log] snapshot version ${version} is newer than supported (${SNAPSHOT_VERSION})`);
+    }
+
+    let out = snapshot;
+    while (version < SNAPSHOT_VERSION) {
+        const step = SNAPSHOT_MIGRATIONS[version];
+        if (typeof step !== "function") {
+            throw new Error(`[log] no snapshot migration from version ${version}`);
+        }
+        out = Object.assign({}, step(out), { version: version + 1 });
+        version++;
+    }
+
+    if (!Array.isArray(out.buckets)) {
+        throw new Error("[log] invalid snapshot: missing buckets");
+    }
+
+    return out;
+}
+
+export default {
+    SNAPSHOT_VERSION,
+    SNAPSHOT_MIGRATIONS,
+    migrateSnapshot
+};
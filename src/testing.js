@@ -0,0 +1,359 @@
+// log/testing.js
+//
+// Deterministic test kit: a manual clock, a preset test Manager and log
+// assertions that reuse `Worker.get()` filter semantics.
+//
+// Not part of the default entry point; import it from test code only:
+//
+//   import { createTestManager, expectLogged } from "./log/testing.js";
+//
+//   const { manager, clock } = createTestManager({ buckets: { api: {} } });
+//   manager.info("api", { code: 200 });
+//   clock.tick(5);
+//   manager.error("api", { code: 500 });
+//   expectLogged(manager, "api", { level: "error", "body.code": 500 });
+//
+// Failed assertions throw an Error whose message lists the nearest
+// non-matching records, key by key.
+
+import Manager from "./Manager.js";
+import utils from "./utils.js";
+import { compileFilter, readKey, PAGE_KEYS } from "./query.js";
+
+const NEAREST = 3;
+
+/**
+ * Create a manual clock usable as a Worker / Manager `clock` option.
+ *
+ * The clock only moves when told to, so `header.at`, `lastAt` and `delta` are
+ * predictable:
+ *
+ * ```js
+ * const clock = createManualClock(1000);
+ * const w = new Worker({ clock });
+ * w.log("a");            // at 1000
+ * clock.tick(250);
+ * w.log("b");            // at 1250, delta 250
+ * ```
+ *
+ * @param {number} [start=0] Initial time (epoch ms).
+ * @returns {Function & { now: () => number, tick: (ms?: number) => number,
+ *           set: (t: number) => number, onTick: (fn: Function) => Function }}
+ *          Callable clock; `tick()` / `set()` return the new time, `onTick(fn)`
+ *          registers `fn(now)` for every advance and returns an unsubscribe handle.
+ * @throws {Error} On a non-finite start, tick or set value.
+ */
+export function createManualClock(start = 0) {
+    const finite = (v, label) => {
+        const n = Number(v);
+        if (!Number.isFinite(n)) throw new Error(`[log] invalid manual clock ${label}: ${v}`);
+        return n;
+    };
+
+    let now = finite(start, "start");
+    const listeners = new Set();
+
+    const notify = () => {
+        for (const fn of [...listeners]) {
+            try {
+                fn(now);
+            } catch {
+                // swallow: a listener must not break the test's clock
+            }
+        }
+        return now;
+    };
+
+    const clock = () => now;
+    clock.now = () => now;
+    clock.tick = (ms = 1) => {
+        now += finite(ms, "tick");
+        return notify();
+    };
+    clock.set = (t) => {
+        now = finite(t, "time");
+        return notify();
+    };
+    clock.onTick = (fn) => {
+        if (typeof fn !== "function") throw new Error("[log] onTick expects a function");
+        const entry = (t) => fn(t);
+        listeners.add(entry);
+        return () => { listeners.delete(entry); };
+    };
+
+    return clock;
+}
+
+/**
+ * Seed a sampling policy that has none (deterministic `probability` sampling).
+ * @private
+ */
+function seeded(sampling, seed) {
+    if (!sampling || typeof sampling !== "object" || sampling.seed != null) return sampling;
+    return Object.assign({}, sampling, { seed });
+}
+
+/**
+ * Create a Manager preset for tests.
+ *
+ * Defaults (each overridable through `opts.worker` / bucket options):
+ * - a manual clock (`createManualClock(opts.start)`) as the Worker clock
+ * - console printing off, `clone: true`
+ * - sampling policies without a `seed` get `opts.seed`, so runs repeat exactly
+ *
+ * @param {Object} [opts] Manager options, plus:
+ * @param {number} [opts.start=0] Manual clock start time.
+ * @param {number} [opts.seed=1] Seed for unseeded sampling policies.
+ * @returns {{ manager: Manager, clock: ReturnType<typeof createManualClock> }}
+ */
+export function createTestManager(opts = {}) {
+    const o = (opts && typeof opts === "object") ? opts : {};
+    const seed = (o.seed != null) ? o.seed : 1;
+    const clock = createManualClock(o.start ?? 0);
+
+    const worker = Object.assign({ console: false, clone: true, clock }, o.worker);
+    if ("sampling" in worker) worker.sampling = seeded(worker.sampling, seed);
+
+    let buckets;
+    if (o.buckets && typeof o.buckets === "object") {
+        buckets = {};
+        for (const [name, b] of Object.entries(o.buckets)) {
+            const bo = Object.assign({}, b);
+            if ("sampling" in bo) bo.sampling = seeded(bo.sampling, seed);
+            buckets[name] = bo;
+        }
+    }
+
+    const rest = Object.assign({}, o);
+    delete rest.start;
+    delete rest.seed;
+    const manager = new Manager(Object.assign({ name: "test" }, rest, { worker, buckets }));
+
+    return { manager, clock };
+}
+
+/**
+ * Short, single-line rendering of a value for failure messages.
+ * @private
+ */
+function show(v) {
+    if (typeof v === "string") return JSON.stringify(v);
+    if (typeof v === "function") return `[Function ${v.name || "anonymous"}]`;
+    if (v instanceof RegExp) return String(v);
+    if (v === undefined) return "undefined";
+    if (typeof v === "bigint") return `${v}n`;
+
+    let s;
+    try {
+        s = JSON.stringify(utils.toJSONSafe(v, { maxDepth: 3, maxString: 60 }));
+    } catch {
+        s = String(v);
+    }
+    return (s.length > 120) ? s.slice(0, 119) + "…" : s;
+}
+
+/**
+ * Split a filter into single-key checks (paging options removed).
+ * @private
+ */
+function filterChecks(filter) {
+    const f = (filter && typeof filter === "object") ? filter : {};
+    const checks = [];
+
+    for (const [key, expected] of Object.entries(f)) {
+        if (PAGE_KEYS.includes(key) || expected === undefined) continue;
+
+        let actual;
+        if (key === "since") actual = (rec) => rec.header?.at;
+        else if (key === "afterSeq") actual = (rec) => rec.header?.seq;
+        else if (key.startsWith("$")) actual = null;
+        else actual = (rec) => readKey(rec, key);
+
+        checks.push({ key, expected, test: compileFilter({ [key]: expected }), actual });
+    }
+
+    return checks;
+}
+
+/**
+ * Describe the records that came closest to matching `filter`.
+ *
+ * Records are ranked by the number of filter keys they satisfy (newest first on
+ * ties); each is listed with a per-key ✓ / ✗ breakdown.
+ *
+ * @private
+ * @param {Object[]} records
+ * @param {Object} filter
+ * @returns {string}
+ */
+function nearestDiff(records, filter) {
+    if (!records.length) return "  (no records stored)";
+
+    const checks = filterChecks(filter);
+    const ranked = records
+          .map((rec, i) => ({ rec, i, hits: checks.map((c) => c.test(rec)) }))
+          .map((r) => Object.assign(r, { score: r.hits.filter(Boolean).length }))
+          .sort((a, b) => (b.score - a.score) || (b.i - a.i))
+          .slice(0, NEAREST);
+
+    const lines = [`nearest records (${ranked.length} of ${records.length}):`];
+    for (const { rec, hits, score } of ranked) {
+        const h = rec.header || {};
+        lines.push(`  seq ${h.seq} at ${h.at} [${h.level}${h.event != null ? ` ${h.event}` : ""}]`
+                   + `  ${score}/${checks.length} keys match`);
+        checks.forEach((c, i) => {
+            const got = c.actual ? `, got ${show(c.actual(rec))}` : "";
+            lines.push(hits[i]
+                       ? `    ✓ ${c.key}: ${show(c.expected)}`
+                       : `    ✗ ${c.key}: expected ${show(c.expected)}${got}`);
+        });
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Resolve a bucket for an assertion.
+ * @private
+ */
+function bucketOf(manager, bucket, label) {
+    const w = manager.bucket(bucket);
+    if (!w) throw new Error(`[log] ${label}: no bucket named "${bucket}"`);
+    return w;
+}
+
+/**
+ * Assert that a bucket holds records matching `filter` (`get()` semantics).
+ *
+ * On failure, throws with a readable diff of the nearest non-matching records.
+ *
+ * @param {Manager} manager
+ * @param {string} bucket
+ * @param {Object} [filter]
+ * @param {Object} [opts]
+ * @param {number} [opts.count] Exact number of matches expected (default: at least one).
+ * @returns {Object[]} The matching records.
+ * @throws {Error} When the expectation fails or the bucket does not exist.
+ */
+export function expectLogged(manager, bucket, filter = {}, opts = {}) {
+    const w = bucketOf(manager, bucket, "expectLogged");
+    const matches = w.get(filter);
+    const count = (opts && opts.count != null) ? Number(opts.count) : null;
+
+    const ok = (count == null) ? matches.length > 0 : matches.length === count;
+    if (ok) return matches;
+
+    const want = (count == null) ? "at least one record" : `${count} record(s)`;
+    const head = `[log] expectLogged: expected ${want} in "${w.name}" matching ${show(filter)}, found ${matches.length}`;
+    throw new Error(`${head}\n${nearestDiff(w.get(), filter)}`);
+}
+
+/**
+ * Assert that no bucket holds `error`-level records and that no hook, listener,
+ * printer or redaction error was swallowed (`stats().errors`).
+ *
+ * @param {Manager} manager
+ * @param {Object} [opts]
+ * @param {string[]} [opts.buckets] Only check these buckets (default: all).
+ * @returns {void}
+ * @throws {Error} Listing every offending record and error counter.
+ */
+export function expectNoErrors(manager, opts = {}) {
+    const only = (opts && Array.isArray(opts.buckets)) ? new Set(opts.buckets.map(String)) : null;
+    const problems = [];
+
+    for (const w of manager.workers.values()) {
+        if (only && !only.has(w.name)) continue;
+
+        for (const rec of w.get({ level: "error" })) {
+            problems.push(`  "${w.name}" seq ${rec.header.seq} at ${rec.header.at}: ${show(rec.body)}`);
+        }
+        for (const [kind, e] of Object.entries(w.stats().errors)) {
+            if (e.count > 0) {
+                const last = e.last ? ` (last: ${e.last.name}: ${e.last.message})` : "";
+                problems.push(`  "${w.name}" ${kind} errors: ${e.count}${last}`);
+            }
+        }
+    }
+
+    if (problems.length) {
+        throw new Error(`[log] expectNoErrors: found ${problems.length} problem(s)\n${problems.join("\n")}`);
+    }
+}
+
+/**
+ * Wait for a record matching `filter` (`get()` semantics) to be stored.
+ *
+ * Resolves immediately with the newest existing match unless `fromNow` is set.
+ * Timeouts are deterministic: `timeoutTicks` counts advances (`tick()` / `set()`)
+ * of a manual clock — `opts.clock`, or the Worker's clock when it is one.
+ * `timeoutMs` adds a real-time limit (used by default when there is no manual clock).
+ *
+ * ```js
+ * const p = waitForRecord(worker, { event: "ready" }, { timeoutTicks: 3 });
+ * clock.tick(10); // ... code under test logs "ready"
+ * const rec = await p;
+ * ```
+ *
+ * @param {import('./Worker.js').default} worker
+ * @param {Object} [filter]
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutTicks=100] Clock advances to wait (manual clocks only).
+ * @param {number} [opts.timeoutMs] Real-time limit (default 1000 without a manual clock).
+ * @param {boolean} [opts.fromNow=false] Ignore records already stored.
+ * @param {Function} [opts.clock] Manual clock to count ticks on.
+ * @returns {Promise<Object>} The matching record.
+ */
+export function waitForRecord(worker, filter = {}, opts = {}) {
+    const o = (opts && typeof opts === "object") ? opts : {};
+
+    if (!o.fromNow) {
+        const found = worker.get(Object.assign({}, filter, { limit: 1 }));
+        if (found.length) return Promise.resolve(found[0]);
+    }
+
+    const clock = (o.clock && typeof o.clock.onTick === "function") ? o.clock
+          : (typeof worker.clock?.onTick === "function") ? worker.clock
+          : null;
+    const timeoutTicks = (o.timeoutTicks != null) ? Number(o.timeoutTicks) : 100;
+    const timeoutMs = (o.timeoutMs != null) ? Number(o.timeoutMs) : (clock ? null : 1000);
+
+    return new Promise((resolve, reject) => {
+        let ticks = 0;
+        let timer = null;
+        let offTick = null;
+
+        const done = () => {
+            unsubscribe();
+            if (offTick) offTick();
+            if (timer) clearTimeout(timer);
+        };
+
+        const fail = (why) => {
+            done();
+            reject(new Error(`[log] waitForRecord: no record in "${worker.name}" matching `
+                             + `${show(filter)} ${why}\n${nearestDiff(worker.get(), filter)}`));
+        };
+
+        const unsubscribe = worker.subscribe((rec) => {
+            done();
+            resolve(rec);
+        }, { filter });
+
+        if (clock) {
+            offTick = clock.onTick(() => {
+                if (++ticks >= timeoutTicks) fail(`after ${ticks} tick(s)`);
+            });
+        }
+        if (timeoutMs != null) {
+            timer = setTimeout(() => fail(`within ${timeoutMs}ms`), timeoutMs);
+        }
+    });
+}
+
+export default {
+    createManualClock,
+    createTestManager,
+    expectLogged,
+    expectNoErrors,
+    waitForRecord
+};
@@ -1,4 +1,18 @@
 import { CONSOLE_LEVEL } from './constants.js';
+import { compileGlob, globMatch } from './redact.js';
+import { parseStackLine } from './dev/diag/stack.js';
+
+// functions resolved from string references by `_getFunction()` -> that reference
+const FUNCTION_REFS = new WeakMap();
+
+/**
+ * Create / overwrite an own enumerable property. Unlike `obj[key] = value`, a
+ * `"__proto__"` key becomes a plain property instead of replacing the prototype.
+ * @private
+ */
+function setOwn(obj, key, value) {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
 /**
  * Validate and normalize a bucket name.
  *
@@ -135,6 +149,7 @@ export function _getFunction(value, label = "function") {
     if (typeof lib !== "undefined" && lib.func && typeof lib.func.get === "function") {
         const resolved = lib.func.get(value);
         if (typeof resolved === "function") {
+	    if (typeof value === "string") FUNCTION_REFS.set(resolved, value);
 	    return resolved;
         }
     }
@@ -143,6 +158,18 @@ export function _getFunction(value, label = "function") {
     throw new Error(`[log] invalid ${label}: expected function or resolvable reference`);
 }
 
+/**
+ * Reference name a function was resolved from by `_getFunction()`, if any
+ * (used to record hooks by name, e.g. in `Manager.snapshot()`).
+ *
+ * @private
+ * @param {any} fn
+ * @returns {string|null}
+ */
+export function _functionRef(fn) {
+    return (typeof fn === "function" && FUNCTION_REFS.get(fn)) || null;
+}
+
 /**
  * Normalize and validate bucket max size.
  *
@@ -150,12 +177,16 @@ export function _getFunction(value, label = "function") {
  * - positive integer => ring buffer size
  * - negative / float / non-numeric => throws
  *
+ * Also used for other non-negative integer limits (e.g. `maxBytes`);
+ * `label` only changes the error messages.
+ *
  * @private
  * @param {any} value
+ * @param {string} [label='max'] Label used in error messages
  * @returns {number} max size (0 = unlimited)
  * @throws {Error} on invalid value
  */
-export function _normalizeLogMax(value) {
+export function _normalizeLogMax(value, label = "max") {
     // falsy => unlimited
     if (!value) return 0;
 
@@ -167,17 +198,17 @@ export function _normalizeLogMax(value) {
 
     // reject non-numeric
     if (!Number.isFinite(num)) {
-        throw new Error(`[log] invalid max value (not numeric): ${value}`);
+        throw new Error(`[log] invalid ${label} value (not numeric): ${value}`);
     }
 
     // reject floats
     if (!Number.isInteger(num)) {
-        throw new Error(`[log] invalid max value (must be integer): ${value}`);
+        throw new Error(`[log] invalid ${label} value (must be integer): ${value}`);
     }
 
     // reject negatives
     if (num < 0) {
-        throw new Error(`[log] invalid max value (negative): ${value}`);
+        throw new Error(`[log] invalid ${label} value (negative): ${value}`);
     }
 
     // 0 already handled, but keep explicit
@@ -187,6 +218,295 @@ export function _normalizeLogMax(value) {
     return num;
 }
 
+/**
+ * Normalize a bucket max that may be either a single limit or per-level tiers.
+ *
+ * - scalar (number / string / falsy) => `_normalizeLogMax(value)`
+ * - plain object => frozen `{ [level]: number, default: number }` map
+ *   - keys are lowercased level names; `default` covers every other level
+ *   - each value is normalized via `_normalizeLogMax` (0 = unlimited tier)
+ *   - a missing `default` means unlimited for unlisted levels
+ *
+ * @private
+ * @param {any} value
+ * @returns {number|Object<string, number>}
+ * @throws {Error} on invalid values
+ */
+export function _normalizeLevelMax(value) {
+    const isObj =
+          value &&
+          typeof value === "object" &&
+          !Array.isArray(value);
+
+    if (!isObj) return _normalizeLogMax(value);
+
+    const out = { default: 0 };
+    for (const [k, v] of Object.entries(value)) {
+        const key = String(k).trim().toLowerCase();
+        if (!key) throw new Error("[log] invalid max tier: empty level name");
+        out[key] = _normalizeLogMax(v, `max.${key}`);
+    }
+    return Object.freeze(out);
+}
+
+/**
+ * Normalize a Worker `dedupe` option.
+ *
+ * - falsy => null (dedupe off)
+ * - `true` => `{ windowMs: 1000, key: null }`
+ * - object => `{ windowMs, key }` where `windowMs` is a non-negative integer
+ *   (0 = no time limit) and `key` is a function or lib-resolvable reference
+ *   `(record) => any` (null = compare serialized bodies)
+ *
+ * @private
+ * @param {any} value
+ * @returns {{ windowMs: number, key: Function|null }|null}
+ * @throws {Error} on invalid values
+ */
+export function _normalizeDedupe(value) {
+    if (!value) return null;
+    if (value === true) return Object.freeze({ windowMs: 1000, key: null });
+
+    if (typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`[log] invalid dedupe value: ${value}`);
+    }
+
+    return Object.freeze({
+        windowMs: ("windowMs" in value) ? _normalizeLogMax(value.windowMs, "dedupe.windowMs") : 1000,
+        key: _getFunction(value.key, "dedupe.key")
+    });
+}
+
+/**
+ * Normalize a `reduce` (payload shape reduction) spec.
+ *
+ * - falsy => null (no reduction)
+ * - object => frozen `{ maxDepth, maxString, maxArray, maxKeys, allow, deny, at }`
+ *   - numeric limits use `_normalizeLogMax` rules (0 = unlimited)
+ *   - `allow` / `deny` are dotted path globs (see `reducePayload`)
+ *   - `at` is `"capture"` (default; reduce in `emit()`) or `"export"`
+ *     (store the full body; reduce on read)
+ *
+ * @private
+ * @param {any} value
+ * @returns {Object|null}
+ * @throws {Error} on invalid values
+ */
+export function _normalizeReduce(value) {
+    if (!value) return null;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`[log] invalid reduce value: ${value}`);
+    }
+
+    const globs = (v, label) => {
+        if (v == null) return [];
+        const list = Array.isArray(v) ? v : [v];
+        for (const g of list) {
+            if (typeof g !== "string" || g.trim() === "") {
+                throw new Error(`[log] invalid reduce ${label} path: ${g}`);
+            }
+        }
+        return list.map((g) => g.trim());
+    };
+
+    const at = (value.at != null) ? value.at : "capture";
+    if (at !== "capture" && at !== "export") {
+        throw new Error(`[log] invalid reduce.at value: ${value.at}`);
+    }
+
+    return Object.freeze({
+        maxDepth: _normalizeLogMax(value.maxDepth, "reduce.maxDepth"),
+        maxString: _normalizeLogMax(value.maxString, "reduce.maxString"),
+        maxArray: _normalizeLogMax(value.maxArray, "reduce.maxArray"),
+        maxKeys: _normalizeLogMax(value.maxKeys, "reduce.maxKeys"),
+        allow: Object.freeze(globs(value.allow, "allow")),
+        deny: Object.freeze(globs(value.deny, "deny")),
+        at
+    });
+}
+
+/**
+ * Reduce the shape of a payload so it is cheap to clone, store and print.
+ *
+ * Limits (0 / missing = unlimited):
+ * - `maxDepth`  : containers nested `maxDepth` levels below the root are
+ *                 replaced by `"[Object]"` / `"[Array(n)]"`
+ * - `maxString` : longer strings are cut to `maxString` chars + `"…(+N chars)"`
+ * - `maxArray`  : arrays keep their first `maxArray` items + `"…and N more"`
+ * - `maxKeys`   : total object keys kept across the whole walk; once spent,
+ *                 each object ends with `{ "…": "and N more keys" }`
+ *
+ * Field selection (dotted, case-insensitive globs as in `redact`; `*` is one
+ * segment, `**` any number; array indices are segments):
+ * - `allow` : when non-empty, only matching paths (and their subtrees) are kept
+ * - `deny`  : matching paths are removed (wins over `allow`)
+ *
+ * Only plain objects and arrays are walked; class instances, Maps, Dates etc.
+ * are kept by reference. Cycles become `"[Circular]"`.
+ *
+ * Never mutates `value`; a payload that is already within budget comes back
+ * as the same reference.
+ *
+ * @param {any} value
+ * @param {Object|null} spec Raw or normalized spec (see `_normalizeReduce`).
+ * @returns {any} The reduced value.
+ * @throws {Error} on invalid specs
+ */
+export function reducePayload(value, spec) {
+    const r = (spec && Object.isFrozen(spec) && "at" in spec) ? spec : _normalizeReduce(spec);
+    if (!r) return value;
+
+    const allow = r.allow.map(compileGlob);
+    const deny  = r.deny.map(compileGlob);
+    let keysLeft = r.maxKeys || Infinity;
+
+    const path = [];
+    const active = new Set(); // cycle guard
+
+    const isPlain = (v) => {
+        if (Array.isArray(v)) return true;
+        if (!v || typeof v !== "object") return false;
+        const proto = Object.getPrototypeOf(v);
+        return proto === Object.prototype || proto === null;
+    };
+
+    // "keep" | "descend" | "drop" for the current path
+    const select = () => {
+        if (deny.length && deny.some((g) => globMatch(g, path))) return "drop";
+        if (!allow.length || allow.some((g) => globMatch(g, path))) return "keep";
+        return allow.some((g) => globMatch(g, path, true)) ? "descend" : "drop";
+    };
+
+    // `partial`: only reached through an allow prefix; leaves are dropped and
+    // containers that end up empty are dropped with them (returns undefined)
+    const walk = (v, depth, partial) => {
+        if (!isPlain(v)) {
+            if (partial) return undefined;
+            return (typeof v === "string" && r.maxString && v.length > r.maxString)
+                ? v.slice(0, r.maxString) + `…(+${v.length - r.maxString} chars)`
+                : v;
+        }
+        if (active.has(v)) return "[Circular]";
+        if (r.maxDepth && depth >= r.maxDepth) {
+            return Array.isArray(v) ? `[Array(${v.length})]` : "[Object]";
+        }
+
+        active.add(v);
+        const isArr = Array.isArray(v);
+        const keys = isArr ? [...v.keys()] : Object.keys(v);
+        const out = isArr ? [] : {};
+        let changed = false;
+        let kept = 0;
+
+        const n = (isArr && r.maxArray) ? Math.min(keys.length, r.maxArray) : keys.length;
+        for (let i = 0; i < n; i++) {
+            const k = keys[i];
+            if (!isArr && keysLeft <= 0) {
+                out["…"] = `and ${keys.length - i} more keys`;
+                changed = true;
+                break;
+            }
+
+            path.push(String(k).toLowerCase());
+            const mode = (allow.length || deny.length) ? select() : "keep";
+            const next = (mode === "drop") ? undefined : walk(v[k], depth + 1, mode === "descend");
+            path.pop();
+
+            if (mode === "drop" || (mode === "descend" && next === undefined)) {
+                changed = true;
+                continue;
+            }
+            if (!isArr) keysLeft--;
+            if (next !== v[k]) changed = true;
+            if (isArr) out.push(next);
+            else setOwn(out, k, next);
+            kept++;
+        }
+        if (n < keys.length) {
+            out.push(`…and ${keys.length - n} more`);
+            changed = true;
+        }
+
+        active.delete(v);
+        if (partial && kept === 0) return undefined;
+        return changed ? out : v;
+    };
+
+    return walk(value, 0, false);
+}
+
+/**
+ * Estimate the in-memory size of a value in bytes (rough, best-effort).
+ *
+ * This is a budgeting heuristic, not a measurement:
+ * - strings count 2 bytes per UTF-16 code unit
+ * - numbers 8, booleans 4, null/undefined 0, bigint by digit count
+ * - objects/arrays count their own keys + values recursively, plus a small
+ *   fixed overhead per container
+ * - cycles and repeated references are counted once
+ * - Map/Set entries are walked; typed arrays / ArrayBuffers use `byteLength`
+ * - functions, symbols and other opaque values count as a fixed overhead
+ *
+ * Guarantees:
+ * - Never throws (getters that throw are counted as 0).
+ * - Always returns a finite, non-negative number.
+ *
+ * @param {any} value
+ * @returns {number} Estimated bytes.
+ */
+export function estimateSize(value) {
+    const OVERHEAD = 16;
+    const seen = new Set();
+
+    const walk = (v) => {
+        if (v == null) return 0;
+
+        switch (typeof v) {
+        case "string":  return v.length * 2;
+        case "number":  return 8;
+        case "boolean": return 4;
+        case "bigint":  return String(v).length;
+        case "object":  break;
+        default:        return OVERHEAD; // function, symbol
+        }
+
+        if (seen.has(v)) return 0;
+        seen.add(v);
+
+        try {
+            if (ArrayBuffer.isView(v) || v instanceof ArrayBuffer) {
+                return OVERHEAD + v.byteLength;
+            }
+
+            let total = OVERHEAD;
+
+            if (v instanceof Map) {
+                for (const [k, val] of v) total += walk(k) + walk(val);
+                return total;
+            }
+            if (v instanceof Set) {
+                for (const val of v) total += walk(val);
+                return total;
+            }
+            if (Array.isArray(v)) {
+                for (const val of v) total += walk(val);
+                return total;
+            }
+
+            for (const k of Object.keys(v)) {
+                let val;
+                try { val = v[k]; } catch { val = undefined; }
+                total += k.length * 2 + walk(val);
+            }
+            return total;
+        } catch {
+            return OVERHEAD;
+        }
+    };
+
+    return walk(value);
+}
+
 /**
  * Best-effort deep clone.
  *
@@ -249,6 +569,453 @@ export function cloneBestEffort(value) {
     return value;
 }
 
+const TYPED_ARRAYS = Object.freeze([
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array",
+    "Int32Array", "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+]);
+
+/**
+ * Escape one JSON Pointer segment (RFC 6901).
+ * @private
+ */
+function pointerSegment(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Convert a value (typically a record) into a JSON-safe, tagged representation.
+ *
+ * Unlike `JSON.stringify`, this never throws and loses as little as possible:
+ * - `NaN` / `±Infinity` / `-0`  => `{ $type: "Number", value: "NaN" }`
+ * - `undefined`                 => `{ $type: "Undefined" }`
+ * - bigint                      => `{ $type: "BigInt", value: "123" }`
+ * - symbol / function           => `{ $type: "Symbol", description }` / `{ $type: "Function", name }`
+ * - Date / RegExp               => `{ $type: "Date", value: iso }` / `{ $type: "RegExp", source, flags }`
+ * - Error                       => `{ $type: "Error", name, message, stack, cause?, errors?, props? }`
+ * - Map / Set                   => `{ $type: "Map", entries: [[k, v]…] }` / `{ $type: "Set", values }`
+ * - typed arrays                => `{ $type: "Uint8Array", values }` (also ArrayBuffer / DataView bytes)
+ * - DOM nodes                   => `{ $type: "DOMNode", nodeName, id, className }`
+ * - class instances             => `{ $type: "Object", class, value }` (own enumerable keys),
+ *                                  or `{ $type: "Object", class, json }` when they have `toJSON()`
+ * - plain objects with own `$type` / `$ref` keys are escaped the same way (without `class`)
+ * - repeated references and cycles => `{ $ref: "#/body/a" }` (JSON Pointer into the output)
+ *
+ * Limits (0 = unlimited):
+ * - `maxDepth` (default 64): deeper containers become `{ $type: "Truncated", reason: "depth" }`
+ * - `maxNodes` (default 100000): values past the budget become `{ $type: "Truncated", reason: "size" }`
+ * - `maxString` (default 0): longer strings are cut with a `"…(+N chars)"` marker
+ *
+ * Values that throw while being read become `{ $type: "Unserializable", message }`.
+ * Use `fromJSONSafe()` to revive.
+ *
+ * @param {any} value
+ * @param {Object} [opts]
+ * @param {number} [opts.maxDepth=64]
+ * @param {number} [opts.maxNodes=100000]
+ * @param {number} [opts.maxString=0]
+ * @returns {any} A value that `JSON.stringify` accepts.
+ * @throws {Error} on invalid limits
+ */
+export function toJSONSafe(value, opts = {}) {
+    const o = (opts && typeof opts === "object") ? opts : {};
+    const maxDepth  = ("maxDepth" in o) ? _normalizeLogMax(o.maxDepth, "maxDepth") : 64;
+    const maxNodes  = ("maxNodes" in o) ? _normalizeLogMax(o.maxNodes, "maxNodes") : 100000;
+    const maxString = _normalizeLogMax(o.maxString, "maxString");
+
+    const seen = new Map(); // object -> pointer of its first occurrence
+    let nodes = 0;
+
+    const walk = (v, ptr, depth) => {
+        if (maxNodes && ++nodes > maxNodes) return { $type: "Truncated", reason: "size" };
+
+        switch (typeof v) {
+        case "string":
+            return (maxString && v.length > maxString)
+                ? v.slice(0, maxString) + `…(+${v.length - maxString} chars)`
+                : v;
+        case "boolean":   return v;
+        case "number":
+            if (Number.isFinite(v) && !Object.is(v, -0)) return v;
+            return { $type: "Number", value: Object.is(v, -0) ? "-0" : String(v) };
+        case "bigint":    return { $type: "BigInt", value: v.toString() };
+        case "undefined": return { $type: "Undefined" };
+        case "symbol":    return { $type: "Symbol", description: v.description ?? null };
+        case "function":  return { $type: "Function", name: v.name || null };
+        }
+
+        if (v === null) return null;
+        if (seen.has(v)) return { $ref: seen.get(v) };
+        if (maxDepth && depth >= maxDepth) return { $type: "Truncated", reason: "depth" };
+        seen.set(v, ptr);
+
+        try {
+            return container(v, ptr, depth + 1);
+        } catch (err) {
+            return { $type: "Unserializable", message: String(err && err.message || err) };
+        }
+    };
+
+    // own enumerable keys of `src` into `out`, pointers under `base`
+    const keysInto = (out, src, base, depth, skip) => {
+        for (const k of Object.keys(src)) {
+            if (skip && skip.has(k)) continue;
+            let child;
+            try {
+                child = src[k];
+            } catch (err) {
+                setOwn(out, k, { $type: "Unserializable", message: String(err && err.message || err) });
+                continue;
+            }
+            setOwn(out, k, walk(child, `${base}/${pointerSegment(k)}`, depth));
+        }
+        return out;
+    };
+
+    const container = (v, ptr, depth) => {
+        if (Array.isArray(v)) {
+            const out = [];
+            for (let i = 0; i < v.length; i++) out.push(walk(v[i], `${ptr}/${i}`, depth));
+            return out;
+        }
+
+        if (v instanceof Date) {
+            return { $type: "Date", value: Number.isNaN(v.getTime()) ? null : v.toISOString() };
+        }
+        if (v instanceof RegExp) return { $type: "RegExp", source: v.source, flags: v.flags };
+
+        if (v instanceof Error) {
+            const out = { $type: "Error", name: String(v.name), message: String(v.message) };
+            if (typeof v.stack === "string") out.stack = v.stack;
+            if ("cause" in v) out.cause = walk(v.cause, `${ptr}/cause`, depth);
+            if (Array.isArray(v.errors)) {
+                out.errors = v.errors.map((e, i) => walk(e, `${ptr}/errors/${i}`, depth));
+            }
+            const props = keysInto({}, v, `${ptr}/props`, depth,
+                                   new Set(["name", "message", "stack", "cause", "errors"]));
+            if (Object.keys(props).length) out.props = props;
+            return out;
+        }
+
+        if (v instanceof Map) {
+            const entries = [];
+            let i = 0;
+            for (const [k, x] of v) {
+                entries.push([walk(k, `${ptr}/entries/${i}/0`, depth), walk(x, `${ptr}/entries/${i}/1`, depth)]);
+                i++;
+            }
+            return { $type: "Map", entries };
+        }
+        if (v instanceof Set) {
+            const values = [];
+            let i = 0;
+            for (const x of v) values.push(walk(x, `${ptr}/values/${i++}`, depth));
+            return { $type: "Set", values };
+        }
+
+        if (v instanceof ArrayBuffer) return { $type: "ArrayBuffer", values: Array.from(new Uint8Array(v)) };
+        if (v instanceof DataView) {
+            return { $type: "DataView", values: Array.from(new Uint8Array(v.buffer, v.byteOffset, v.byteLength)) };
+        }
+        if (ArrayBuffer.isView(v)) {
+            const name = Object.getPrototypeOf(v)?.constructor?.name;
+            const kind = TYPED_ARRAYS.includes(name) ? name : "Uint8Array";
+            const values = Array.from(v, (x) => (typeof x === "bigint" || !Number.isFinite(x)) ? String(x) : x);
+            return { $type: kind, values };
+        }
+
+        if (typeof v.nodeType === "number" && typeof v.nodeName === "string") {
+            return {
+                $type: "DOMNode",
+                nodeName: v.nodeName,
+                id: (typeof v.id === "string" && v.id) ? v.id : null,
+                className: (typeof v.className === "string" && v.className) ? v.className : null
+            };
+        }
+
+        const proto = Object.getPrototypeOf(v);
+        const plain = proto === Object.prototype || proto === null;
+
+        if (plain && !Object.prototype.hasOwnProperty.call(v, "$type") &&
+            !Object.prototype.hasOwnProperty.call(v, "$ref")) {
+            return keysInto({}, v, ptr, depth);
+        }
+
+        // escaped / class instance: `{ $type: "Object", class?, value | json }`
+        const out = { $type: "Object" };
+        if (!plain) out.class = proto?.constructor?.name || null;
+        if (!plain && typeof v.toJSON === "function") out.json = walk(v.toJSON(), `${ptr}/json`, depth);
+        else out.value = keysInto({}, v, `${ptr}/value`, depth);
+        return out;
+    };
+
+    return walk(value, "#", 0);
+}
+
+/**
+ * Revive a value produced by `toJSONSafe()` (or its `JSON.parse`d text).
+ *
+ * Restores numbers, `undefined`, bigint, symbols, Date, RegExp, Error (incl.
+ * `cause` / AggregateError `errors`), Map, Set, typed arrays, ArrayBuffer,
+ * DataView and shared / circular references. Class instances come back as
+ * plain objects. Markers that cannot be revived (`Function`, `DOMNode`,
+ * `Truncated`, `Unserializable`) and unknown `$type`s are returned as-is.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+export function fromJSONSafe(value) {
+    const refs = new Map(); // pointer -> revived value
+
+    const keep = (ptr, v) => {
+        refs.set(ptr, v);
+        return v;
+    };
+
+    const objectInto = (out, src, base) => {
+        for (const k of Object.keys(src)) setOwn(out, k, walk(src[k], `${base}/${pointerSegment(k)}`));
+        return out;
+    };
+
+    const walk = (v, ptr) => {
+        if (!v || typeof v !== "object") return v;
+
+        if (Array.isArray(v)) {
+            const out = keep(ptr, []);
+            for (let i = 0; i < v.length; i++) out.push(walk(v[i], `${ptr}/${i}`));
+            return out;
+        }
+
+        if (typeof v.$ref === "string" && Object.keys(v).length === 1) {
+            return refs.has(v.$ref) ? refs.get(v.$ref) : v;
+        }
+
+        if (typeof v.$type !== "string") return objectInto(keep(ptr, {}), v, ptr);
+
+        switch (v.$type) {
+        case "Undefined": return undefined;
+        case "Number":    return (v.value === "-0") ? -0 : Number(v.value);
+        case "BigInt":    return BigInt(v.value);
+        case "Symbol":    return Symbol(v.description ?? undefined);
+        case "Date":      return keep(ptr, new Date(v.value == null ? NaN : v.value));
+        case "RegExp":    return keep(ptr, new RegExp(v.source, v.flags));
+
+        case "Map": {
+            const out = keep(ptr, new Map());
+            (v.entries || []).forEach(([k, x], i) => {
+                out.set(walk(k, `${ptr}/entries/${i}/0`), walk(x, `${ptr}/entries/${i}/1`));
+            });
+            return out;
+        }
+        case "Set": {
+            const out = keep(ptr, new Set());
+            (v.values || []).forEach((x, i) => out.add(walk(x, `${ptr}/values/${i}`)));
+            return out;
+        }
+
+        case "Error": {
+            const Ctor = (typeof globalThis[v.name] === "function" &&
+                          globalThis[v.name].prototype instanceof Error)
+                  ? globalThis[v.name]
+                  : Error;
+            const err = keep(ptr, (Ctor === AggregateError) ? new Ctor([], v.message) : new Ctor(v.message));
+            if (err.name !== v.name) {
+                Object.defineProperty(err, "name", { value: v.name, writable: true, configurable: true });
+            }
+            if (typeof v.stack === "string") {
+                Object.defineProperty(err, "stack", { value: v.stack, writable: true, configurable: true });
+            }
+            if ("cause" in v) {
+                Object.defineProperty(err, "cause", { value: walk(v.cause, `${ptr}/cause`), writable: true, configurable: true });
+            }
+            if (Array.isArray(v.errors)) {
+                const errors = v.errors.map((e, i) => walk(e, `${ptr}/errors/${i}`));
+                Object.defineProperty(err, "errors", { value: errors, writable: true, configurable: true });
+            }
+            if (v.props && typeof v.props === "object") objectInto(err, v.props, `${ptr}/props`);
+            return err;
+        }
+
+        case "Object":
+            if ("json" in v) return walk(v.json, `${ptr}/json`);
+            return objectInto(keep(ptr, {}), v.value || {}, `${ptr}/value`);
+
+        case "ArrayBuffer": return keep(ptr, new Uint8Array(v.values || []).buffer);
+        case "DataView":    return keep(ptr, new DataView(new Uint8Array(v.values || []).buffer));
+        }
+
+        if (TYPED_ARRAYS.includes(v.$type) && typeof globalThis[v.$type] === "function") {
+            const big = v.$type.startsWith("Big");
+            return keep(ptr, new globalThis[v.$type]((v.values || []).map((x) => big ? BigInt(x) : Number(x))));
+        }
+
+        return v;
+    };
+
+    return walk(value, "#");
+}
+
+/**
+ * Default Error normalization policy (see `_normalizeErrors`).
+ * @private
+ */
+const DEFAULT_ERRORS = Object.freeze({ keepOriginal: false, maxCause: 16 });
+
+/**
+ * Normalize an `errors` (Error normalization) policy.
+ *
+ * - `false` / null => null (Errors are stored as-is)
+ * - `true` / undefined => defaults `{ keepOriginal: false, maxCause: 16 }`
+ * - object => frozen `{ keepOriginal, maxCause }`
+ *   - `keepOriginal` : also keep the Error object as `original`
+ *   - `maxCause`     : max `cause` chain length / `AggregateError` nesting
+ *                      followed (`_normalizeLogMax` rules, 0 = unlimited)
+ *
+ * @private
+ * @param {any} value
+ * @returns {Object|null}
+ * @throws {Error} on invalid values
+ */
+export function _normalizeErrors(value) {
+    if (value === undefined || value === true) return DEFAULT_ERRORS;
+    if (value === false || value === null) return null;
+    if (typeof value !== "object" || Array.isArray(value)) {
+        throw new Error(`[log] invalid errors value: ${value}`);
+    }
+
+    return Object.freeze({
+        keepOriginal: value.keepOriginal === true,
+        maxCause: ("maxCause" in value)
+            ? _normalizeLogMax(value.maxCause, "errors.maxCause")
+            : DEFAULT_ERRORS.maxCause
+    });
+}
+
+const ERROR_OWN_KEYS = new Set(["name", "message", "stack", "code", "cause", "errors"]);
+
+/**
+ * Property read that never throws (getters, proxies); failures read as undefined.
+ * @private
+ */
+function safeGet(obj, key) {
+    try {
+        return obj[key];
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * `String(v)` that never throws (hostile `toString`, symbols in templates, ...).
+ * @private
+ */
+function safeString(v) {
+    try {
+        return String(v);
+    } catch {
+        return "[unprintable]";
+    }
+}
+
+/**
+ * Normalize an Error into a plain, searchable, JSON-friendly object:
+ *
+ *   { name, message, code?, stack, frames, cause?, errors?, props?, original? }
+ *
+ * - `frames` : stack lines parsed with `dev/diag/stack.js` `parseStackLine`
+ *              (lines that do not look like frames are skipped)
+ * - `cause`  : the whole `cause` chain, flattened outermost first; each entry is
+ *              normalized the same way (without its own `cause`). A non-Error
+ *              cause becomes `{ value }` and ends the chain.
+ * - `errors` : normalized `AggregateError.errors`
+ * - `props`  : other own enumerable properties (e.g. `status`), by reference
+ * - `original` : the Error itself, only with `keepOriginal`
+ *
+ * Errors already seen in the same walk become `{ name, message, circular: true }`.
+ * Property reads are guarded: a throwing getter (or a revoked proxy) reads as
+ * undefined instead of failing the record.
+ *
+ * @param {Error} err
+ * @param {Object|null} [spec] Raw or normalized policy (see `_normalizeErrors`).
+ * @returns {Object}
+ */
+export function normalizeError(err, spec) {
+    const policy = _normalizeErrors(spec) || DEFAULT_ERRORS;
+    const limit = policy.maxCause > 0 ? policy.maxCause : Infinity;
+    const seen = new Set();
+
+    const isError = (v) => {
+        try {
+            return v instanceof Error;
+        } catch {
+            return false; // revoked proxy
+        }
+    };
+
+    const one = (e, depth) => {
+        const name = safeString(safeGet(e, "name"));
+        const message = safeString(safeGet(e, "message"));
+        if (seen.has(e)) return { name, message, circular: true };
+        seen.add(e);
+
+        const rawStack = safeGet(e, "stack");
+        const stack = (typeof rawStack === "string") ? rawStack : null;
+        const out = { name, message };
+        const code = safeGet(e, "code");
+        if (code != null) out.code = code;
+        out.stack = stack;
+        out.frames = stack
+            ? stack.split("\n").map(parseStackLine).filter((f) => f && f.file)
+            : [];
+
+        const errors = safeGet(e, "errors");
+        if (Array.isArray(errors) && depth < limit) {
+            out.errors = errors.map((x) => isError(x) ? full(x, depth + 1) : { value: x });
+        }
+
+        let keys = [];
+        try {
+            keys = Object.keys(e);
+        } catch {
+            // revoked proxy: no extra props
+        }
+
+        let props = null;
+        for (const k of keys) {
+            if (ERROR_OWN_KEYS.has(k)) continue;
+            props = props || {};
+            setOwn(props, k, safeGet(e, k));
+        }
+        if (props) out.props = props;
+
+        return out;
+    };
+
+    const full = (e, depth) => {
+        const out = one(e, depth);
+        if (out.circular) return out;
+
+        const chain = [];
+        let c = safeGet(e, "cause");
+        while (c !== undefined && chain.length < limit) {
+            if (!isError(c)) {
+                chain.push({ value: c });
+                break;
+            }
+            const entry = one(c, depth + 1);
+            chain.push(entry);
+            if (entry.circular) break;
+            c = safeGet(c, "cause");
+        }
+        if (chain.length) out.cause = chain;
+
+        return out;
+    };
+
+    const out = full(err, 0);
+    if (policy.keepOriginal) out.original = err;
+    return out;
+}
+
 /**
  * Create a normalized log record with a strict header/body split.
  *
@@ -267,6 +1034,10 @@ export function cloneBestEffort(value) {
  *        and `header.delta` is computed as `header.at - lastAt`.
  * @param {boolean}  [ctx.clone=false]
  *        When true, clones `body` best-effort to reduce mutation-by-reference.
+ * @param {Object|boolean|null} [ctx.errors]
+ *        Error normalization policy (see `_normalizeErrors`; default on). An Error
+ *        payload, or an Error value at the top level of a plain object payload,
+ *        is replaced by `normalizeError()` output.
  *
  * @returns {{header: Object, body: Object}}
  */
@@ -278,6 +1049,26 @@ export function makeRecord(entry, ctx = {}) {
 
     let body = isObj ? entry : { value: entry };
 
+    const errors = ctx.errors;
+    if (errors !== false && errors !== null && isObj) {
+        try {
+            if (entry instanceof Error) {
+                body = normalizeError(entry, errors);
+            } else {
+                // top-level Error fields ({ err, userId }), copy-on-write
+                for (const k of Object.keys(entry)) {
+                    const v = entry[k];
+                    if (!(v instanceof Error)) continue;
+                    if (body === entry) body = Object.create(Object.getPrototypeOf(entry), Object.getOwnPropertyDescriptors(entry));
+                    setOwn(body, k, normalizeError(v, errors));
+                }
+            }
+        } catch {
+            // hostile payload (throwing getter, revoked proxy): store it as given
+            body = entry;
+        }
+    }
+
     const clock =
           typeof ctx.clock === "function"
           ? ctx.clock
@@ -357,34 +1148,38 @@ export function shouldPrint(record, ctx = {}) {
  * - no formatting
  * - no args spreading
  * - prints the user payload (`record.body`) only
+ * - when `ctx.repeated` is a positive number (end of a dedupe run), prints
+ *   `"(repeated N times)"` at the record's level instead of the body
  *
  * @param {{header?: Object, body?: any}} record
+ * @param {Object} [ctx] Printer context from `Worker.emit()`.
  * @returns {void}
  */
-export function printRecord(record) {
+export function printRecord(record, ctx) {
     if (!record) return;
 
     const c = (typeof console !== "undefined") ? console : null;
     if (!c) return;
 
     const level = String(record?.header?.level || "log").toLowerCase();
+    const out = (ctx && ctx.repeated > 0) ? `(repeated ${ctx.repeated} times)` : record.body;
 
     try {
         if (level === "error" && typeof c.error === "function") {
-            c.error(record.body);
+            c.error(out);
             return;
         }
         if ((level === "warn" || level === "warning") && typeof c.warn === "function") {
-            c.warn(record.body);
+            c.warn(out);
             return;
         }
         if (level === "info" && typeof c.info === "function") {
-            c.info(record.body);
+            c.info(out);
             return;
         }
 
         if (typeof c.log === "function") {
-            c.log(record.body);
+            c.log(out);
         }
     } catch {
         // never let console printing break logging
@@ -394,12 +1189,22 @@ export function printRecord(record) {
 export default {
     _getClock,
     _getFunction,
+    _functionRef,
     _normalizeConsoleLevel,
     _normalizeLogMax,
+    _normalizeLevelMax,
+    _normalizeDedupe,
     levelToConsoleLevel,
     shouldPrint,
     printRecord,
     makeRecord,
+    normalizeError,
+    _normalizeErrors,
     cloneBestEffort,
+    reducePayload,
+    _normalizeReduce,
+    toJSONSafe,
+    fromJSONSafe,
+    estimateSize,
     validateBucketName
 };